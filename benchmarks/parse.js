@@ -0,0 +1,131 @@
+//
+// Benchmark of parsing a large generated diagram
+//
+// Usage:
+// node benchmarks/parse.js [--cells <count>] [--legacy]
+//
+// Where:
+// cells: Approximate number of cells in the generated diagram. Defaults to 5000.
+// legacy: Also measure decoding the cells the old way, with a DOM per cell and prefix (slow).
+//
+
+const jsdom = require('jsdom');
+const { performance } = require('perf_hooks');
+
+const { loadConfig } = require('../src/drawioConfig');
+const { createParsers, parsePage } = require('../src/drawioProcessor');
+const { createTransformers } = require('../src/drawioTransformers');
+
+const escapeXmlAttr = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Generate XML of a diagram with containers, each with assumptions that depend
+ * on each other, questions connected to them, and notes. Values are HTML,
+ * like the ones saved by Drawio.
+ *
+ * @param {number} cellCount
+ */
+const generateDiagram = (cellCount) => {
+  const cells = ['<mxCell id="0"/>', '<mxCell id="1" parent="0"/>'];
+  const addCell = (attrs) => {
+    const attrsXml = Object.entries(attrs).map(([key, value]) => `${key}="${escapeXmlAttr(String(value))}"`).join(' ');
+    cells.push(`<mxCell ${attrsXml}><mxGeometry as="geometry"/></mxCell>`);
+  };
+
+  // Each group of cells has 1 container, 4 assumptions, 2 questions, 1 note and 6 edges
+  const groupCount = Math.max(1, Math.round(cellCount / 14));
+  let id = 0;
+
+  for (let group = 0; group < groupCount; group++) {
+    const containerId = `c${group}`;
+    addCell({ id: containerId, value: `Topic ${group}`, style: 'swimlane;container=1;html=1;', vertex: 1, parent: '1' });
+
+    const assumptionIds = [];
+    for (let i = 0; i < 4; i++) {
+      const cellId = `a${++id}`;
+      assumptionIds.push(cellId);
+      addCell({
+        id: cellId,
+        value: `<font style="font-size: 11px">A<span>(${id})</span>: Users&nbsp;want to do thing #${id} &amp; more</font>`,
+        style: 'rounded=0;whiteSpace=wrap;html=1;',
+        vertex: 1,
+        parent: containerId,
+      });
+      if (i > 0) {
+        addCell({ id: `e${++id}`, style: 'edgeStyle=orthogonalEdgeStyle;html=1;', edge: 1, parent: containerId, source: assumptionIds[i - 1], target: cellId });
+      }
+    }
+
+    for (let i = 0; i < 2; i++) {
+      const cellId = `q${++id}`;
+      addCell({
+        id: cellId,
+        value: `Q(${id}):<br>- Why would you do thing #${id}?<br>- What did you try&nbsp;before?<br>- <span>How often?</span>`,
+        style: 'shape=note;whiteSpace=wrap;html=1;',
+        vertex: 1,
+        parent: containerId,
+      });
+      addCell({ id: `e${++id}`, style: 'html=1;', edge: 1, parent: containerId, source: cellId, target: assumptionIds[i] });
+    }
+
+    const noteId = `n${++id}`;
+    addCell({ id: noteId, value: `N:<br><div>Seen in interview #${id}</div><div>Follow up &lt;later&gt;</div>`, style: 'text;html=1;', vertex: 1, parent: containerId });
+    addCell({ id: `e${++id}`, style: 'html=1;', edge: 1, parent: containerId, source: noteId, target: assumptionIds[3] });
+  }
+
+  return { xml: `<mxGraphModel><root>${cells.join('')}</root></mxGraphModel>`, cellCount: cells.length };
+};
+
+const measure = async (fn) => {
+  const start = performance.now();
+  const result = await fn();
+  return { result, ms: performance.now() - start };
+};
+
+const main = async () => {
+  const args = process.argv.slice(2);
+  const cellsArgIndex = args.indexOf('--cells');
+  const targetCellCount = cellsArgIndex !== -1 ? Number(args[cellsArgIndex + 1]) : 5000;
+  const runLegacy = args.includes('--legacy');
+
+  const config = loadConfig();
+  const { xml, cellCount } = generateDiagram(targetCellCount);
+  console.log(`Generated diagram with ${cellCount} cells`);
+
+  const { result: document, ms: domMs } = await measure(() => new jsdom.JSDOM(xml, { contentType: 'text/xml' }).window.document);
+  console.log(`Parse XML into DOM: ${domMs.toFixed(0)} ms`);
+
+  const parsers = createParsers(config);
+  const transformers = createTransformers(config);
+
+  const { result: data, ms: parseMs } = await measure(() => parsePage(document, { parsers, transformers, config }));
+  const counts = config.nodeTypes.map((nodeType) => `${data[nodeType.key].result.length} ${nodeType.key}`).join(', ');
+  console.log(`Run parsers and transformers: ${parseMs.toFixed(0)} ms (${counts})`);
+
+  if (!runLegacy) return;
+
+  // Previously, the value of each cell was decoded by creating a new DOM, once for each prefix
+  const legacyHtmlDecode = (input) => {
+    const { window } = new jsdom.JSDOM(input);
+    const text = window.document.documentElement.textContent;
+    window.close();
+    return text;
+  };
+  const { ms: legacyMs } = await measure(async () => {
+    for (const _ of config.nodeTypes) {
+      for (const [index, node] of [...document.querySelectorAll('mxCell[value]')].entries()) {
+        legacyHtmlDecode(node.getAttribute('value'));
+        // Closed windows are cleaned up only when the event loop turns, and would fill up the memory otherwise
+        if (index % 100 === 99) await new Promise((resolve) => setImmediate(resolve));
+      }
+    }
+  });
+  console.log(`Decode values with a DOM per cell (legacy): ${legacyMs.toFixed(0)} ms`);
+  console.log(`Speed-up: ${(legacyMs / parseMs).toFixed(1)}x`);
+};
+
+main();
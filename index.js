@@ -1,11 +1,47 @@
 //
 // Script to decode .drawio to XML. Taken from Draw.io's guide
 //
+// Can be also required as a library, e.g.
+// const { processDrawio } = require('hyp-flow');
+// const { pages, output } = await processDrawio(drawioXml, { exportType: 'csv' });
+//
 
 const {
   cli
 } = require('./src/cli');
+const {
+  processDrawio,
+  createDefaultStages,
+  mergeStages,
+  loadPlugin,
+  getFileNamespaces,
+  namespacePages,
+} = require('./src/drawioProcessor');
+const {
+  loadConfig,
+  normalizeConfig,
+} = require('./src/drawioConfig');
+const {
+  generateDiagram,
+} = require('./src/drawioGenerator');
+const {
+  getPageStats,
+} = require('./src/drawioStats');
 
 if (require && require.main === module) {
   cli();
-}
\ No newline at end of file
+}
+
+module.exports = {
+  cli,
+  processDrawio,
+  createDefaultStages,
+  mergeStages,
+  loadPlugin,
+  getFileNamespaces,
+  namespacePages,
+  loadConfig,
+  normalizeConfig,
+  generateDiagram,
+  getPageStats,
+};
@@ -2,36 +2,263 @@
 // CLI interface for functions in this package
 // 
 
-const fsp = require('fs').promises;
+const fs = require('fs');
+const fsp = fs.promises;
 const jsdom = require('jsdom');
 const path = require('path');
+const Papa = require('papaparse');
+const { camelCase } = require('lodash');
 
 /* beautify preserve:start */
-const { decodeDrawio } = require('./drawioEncoder');
-const { parseContainers, parseAssumptions, parseQuestions } = require('./drawioParsers');
-const { transformConnectQuestions, transformConnectContainers } = require('./drawioTransformers');
-const { exporterCsv,  exporterXlsx } = require('./drawioExporters');
+const { decodeDrawio, formatMxfile, formatDecodedPages, serializeXml } = require('./drawioEncoder');
+const { loadConfig, normalizeConfig, CONTAINER_DETECTIONS, SORT_MODES } = require('./drawioConfig');
+const { createTransformers } = require('./drawioTransformers');
+const { getPageLabel } = require('./drawioExporters');
+const { selectPages, createParsers, createDefaultStages, mergeStages, loadPlugin, parsePage, parsePages, getParserErrors, getFileNamespaces, namespacePages } = require('./drawioProcessor');
+const { applyRowEdits, assignMissingIds } = require('./drawioEditors');
+const { lintPage } = require('./drawioLinter');
+const { diffPages, renderDiffText, renderDiffMarkdown } = require('./drawioDiff');
+const { generateDiagram, readXlsxRows } = require('./drawioGenerator');
+const { getPageStats, renderStatsText, formatCoverage } = require('./drawioStats');
 /* beautify preserve:end */
 
-const decodeUsageText = `\nUsage:\ndecode <path/to/source_file> <path/to/dest_file>`;
+const decodeUsageText = `\nUsage:\ndecode <path/to/source_file> <path/to/dest_file> [--watch]\n\nWhere:\nsource_file: .drawio file, or .drawio.svg or .drawio.png image with the diagram embedded.\nwatch: Decode the source file again each time it changes.`;
+const applyUsageText = `\nUsage:\napply <path/to/drawio_file> <path/to/csv_file> [--out <path/to/dest_file>] [--uncompressed] [--dry-run] [--config <path/to/config_file>]\n\nWhere:\nout: Where to save the updated diagram. Defaults to overwriting the drawio file.\nuncompressed: Save the diagrams as plain XML instead of deflated base64 text.\ndry-run: Only report the changes, don't save them.\nconfig: JSON or JS file that defines the node types, e.g. their prefixes. Assumptions, questions and notes by default.`;
+const lintUsageText = `\nUsage:\nlint <path/to/drawio_file> [--format <format>] [--pages <pages>] [--strict] [--config <path/to/config_file>] [--container-detection <strategy>]\n\nWhere:\nformat: text | json. Defaults to text.\npages: Comma-separated page names or 0-based page indices, e.g. "Page-1,2". All pages by default.\nstrict: Fail also when there are only warnings.\nconfig: JSON or JS file that defines the node types, e.g. their prefixes. Assumptions, questions and notes by default.\ncontainer-detection: parent | geometry. How nodes are assigned to containers - by the container they were dropped into (default), or also by position, e.g. when drawn on top of a big rectangle.\n\nExit codes:\n0: No errors found\n1: Errors found (or warnings, with --strict)\n2: The diagram or config could not be loaded`;
+const diffUsageText = `\nUsage:\ndiff <path/to/old_file> <path/to/new_file> [--format <format>] [--out <path/to/dest_file>] [--pages <pages>] [--config <path/to/config_file>] [--container-detection <strategy>]\n\nWhere:\nformat: text | markdown | json. Defaults to text.\nout: Where to save the changes. Printed out by default.\npages: Comma-separated page names or 0-based page indices, e.g. "Page-1,2". All pages by default.\nconfig: JSON or JS file that defines the node types, e.g. their prefixes. Assumptions, questions and notes by default.\ncontainer-detection: parent | geometry. How nodes are assigned to containers - by the container they were dropped into (default), or also by position, e.g. when drawn on top of a big rectangle.`;
+const statsUsageText = `\nUsage:\nstats <path/to/drawio_file> [--format <format>] [--pages <pages>] [--min-coverage <percent>] [--config <path/to/config_file>] [--container-detection <strategy>]\n\nWhere:\nformat: text | json. Defaults to text.\npages: Comma-separated page names or 0-based page indices, e.g. "Page-1,2". All pages by default.\nmin-coverage: Fail if less than this percentage (0-100) of the assumptions have questions.\nconfig: JSON or JS file that defines the node types, e.g. their prefixes. Assumptions, questions and notes by default.\ncontainer-detection: parent | geometry. How nodes are assigned to containers - by the container they were dropped into (default), or also by position, e.g. when drawn on top of a big rectangle.\n\nExit codes:\n0: Coverage is at least the minimum, or no minimum is given\n1: Coverage is below the minimum\n2: The diagram or config could not be loaded`;
+const generateUsageText = `\nUsage:\ngenerate <path/to/plan_file> <path/to/dest_file> [--uncompressed] [--config <path/to/config_file>]\n\nWhere:\nplan_file: CSV or XLSX file with the same columns as the csv export, e.g. assumptionId, questionId, assumption, question, container_depth1.\nuncompressed: Save the diagrams as plain XML instead of deflated base64 text.\nconfig: JSON or JS file that defines the node types, e.g. their prefixes. Assumptions, questions and notes by default.`;
+const encodeUsageText = `\nUsage:\nencode <path/to/source_file> <path/to/dest_file> [--page-names <names>] [--uncompressed]\n\nWhere:\npage-names: Comma-separated names given to the pages, in order. Existing page names are kept by default.\nuncompressed: Save the diagrams as plain XML instead of deflated base64 text.`;
+
+/**
+ * Split command arguments into positional arguments and options
+ * given as `--name value`, `--name=value`, or `--flag`.
+ *
+ * Arguments that look like options, but are not listed in `optionTypes`,
+ * are kept as positional arguments.
+ *
+ * @param {string[]} args
+ * @param {Object<string, 'string'|'boolean'>} optionTypes
+ */
+const parseArgs = (args, optionTypes) => {
+  const positional = [];
+  const options = {};
+
+  for (let i = 0; i < args.length; i++) {
+    const [, name, inlineValue] = args[i].match(/^--([\w-]+)(?:=(.*))?$/) || [];
+    const optionType = name && optionTypes[name];
+
+    if (!optionType) {
+      positional.push(args[i]);
+    } else if (optionType === 'boolean') {
+      options[camelCase(name)] = true;
+    } else {
+      options[camelCase(name)] = inlineValue != null ? inlineValue : args[++i];
+    }
+  }
+
+  return { positional, options };
+};
+
+// Files searched for in directories given as the source of the "parse" command
+const DIAGRAM_FILE_REGEX = /\.(drawio|dio)(\.svg|\.png)?$/i;
+// Images that embed a diagram can be read, but not written back
+const IMAGE_FILE_REGEX = /\.(?:svg|png)$/i;
+const GLOB_CHAR_REGEX = /[*?]/;
+
+/**
+ * List the files in a directory and its subdirectories, in alphabetical order.
+ * Hidden files and directories, and `node_modules`, are skipped.
+ *
+ * @param {string} dir
+ * @returns {string[]}
+ */
+const listFilesRecursive = (dir) => fs.readdirSync(dir, { withFileTypes: true })
+  .filter((entry) => !entry.name.startsWith('.') && entry.name !== 'node_modules')
+  .sort((a, b) => a.name.localeCompare(b.name))
+  .flatMap((entry) => {
+    const entryPath = path.join(dir, entry.name);
+    return entry.isDirectory() ? listFilesRecursive(entryPath) : [entryPath];
+  });
+
+/**
+ * Find the files that match a glob pattern, e.g. "boards/*.drawio" or "boards/**\/*.drawio".
+ *
+ * Supports `*` (any characters but "/"), `**` (any directories) and `?` (single character).
+ *
+ * @param {string} pattern
+ * @returns {string[]}
+ */
+const findGlobMatches = (pattern) => {
+  const segments = pattern.split(/[\\/]/);
+  const firstGlobIndex = segments.findIndex((segment) => GLOB_CHAR_REGEX.test(segment));
+  const baseDir = segments.slice(0, firstGlobIndex).join('/') || (pattern.startsWith('/') ? '/' : '.');
+
+  const regexSource = segments.slice(firstGlobIndex).join('/')
+    .split(/(\*\*\/|\*\*|\*|\?)/)
+    .map((part) => {
+      if (part === '**/') return '(?:.*/)?';
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  const regex = new RegExp(`^${regexSource}$`);
+
+  if (!fs.existsSync(baseDir) || !fs.statSync(baseDir).isDirectory()) return [];
+
+  return listFilesRecursive(baseDir)
+    .filter((file) => regex.test(path.relative(baseDir, file).split(path.sep).join('/')));
+};
 
 const createCommands = ({
   logger = console
 } = {}) => {
   /**
-   * Parse a .drawio file, and decode the contents of the diagram element
-   * from base64 into utf-8 string.
+   * Parse a .drawio file, and decode the contents of the diagram elements
+   * (compressed or not) into utf-8 strings, one per page.
+   *
+   * Diagrams embedded in .drawio.svg and .drawio.png images are decoded the same way.
    */
   const doDecode = async (sourceFile) => {
-    const encodedData = await fsp.readFile(sourceFile, 'utf-8');
-    const decodedData = decodeDrawio(encodedData);
+    let encodedData;
+    try {
+      // Read as bytes, as PNG images are not text
+      encodedData = await fsp.readFile(sourceFile);
+    } catch (err) {
+      logger.error(`Error: Failed to read source file "${sourceFile}": ${err.message}`);
+      return null;
+    }
 
-    if (!decodedData) {
+    const decodedPages = decodeDrawio(encodedData);
+
+    if (!decodedPages) {
       logger.log(`Failed to decode data from source file`);
       return null;
     }
 
-    return decodedData;
+    return decodedPages;
+  };
+
+  /**
+   * Load the config of node types, or the default config if no file is given.
+   * Container detection and sort mode given on the command line override the ones in the config.
+   */
+  const doLoadConfig = (configFile, { containerDetection, sort } = {}) => {
+    let config;
+    try {
+      config = loadConfig(configFile);
+    } catch (err) {
+      logger.error(`Error: Failed to load config from "${configFile}": ${err.message}`);
+      return null;
+    }
+
+    if (containerDetection && !CONTAINER_DETECTIONS.includes(containerDetection)) {
+      logger.error(`Error: Unknown container detection "${containerDetection}". Use one of: ${CONTAINER_DETECTIONS.join(', ')}`);
+      return null;
+    }
+    if (sort && !SORT_MODES.includes(sort)) {
+      logger.error(`Error: Unknown sort mode "${sort}". Use one of: ${SORT_MODES.join(', ')}`);
+      return null;
+    }
+
+    if (!containerDetection && !sort) return config;
+
+    return normalizeConfig({
+      ...config,
+      ...(containerDetection ? { containerDetection } : {}),
+      ...(sort ? { sort } : {}),
+    });
+  };
+
+  /**
+   * Load the plugins with custom stages (see drawioProcessor.js), and add them
+   * to the built-in stages. Plugin files are given as comma-separated list.
+   */
+  const doLoadStages = (pluginFiles, config) => {
+    let stages = createDefaultStages(config);
+
+    const files = (pluginFiles || '').split(',').map((s) => s.trim()).filter(Boolean);
+    for (const file of files) {
+      try {
+        stages = mergeStages(stages, loadPlugin(file, config));
+      } catch (err) {
+        logger.error(`Error: Failed to load plugin "${file}": ${err.message}`);
+        return null;
+      }
+    }
+
+    return stages;
+  };
+
+  const formatTime = () => new Date().toLocaleTimeString();
+
+  /**
+   * Call `run`, and log the error it throws instead of passing it on, so that
+   * watching the files goes on (e.g. the file is read while being replaced).
+   *
+   * Returns false if `run` failed.
+   */
+  const runGuarded = async (run) => {
+    try {
+      return await run();
+    } catch (err) {
+      logger.error(`Error: ${err.message}`);
+      return false;
+    }
+  };
+
+  /**
+   * Call `run` each time the source file (or any of the source files) changes, until the process is stopped.
+   *
+   * Changes that come in quick succession (e.g. the editor saves the file in several
+   * writes) are debounced into a single run, and runs never overlap.
+   *
+   * The directories are watched instead of the files, as some editors save by replacing the file.
+   *
+   * `run` should return false if the files could not be processed.
+   */
+  const doWatch = (sourceFiles, run, { debounceMs = 300 } = {}) => {
+    const files = [].concat(sourceFiles);
+    const sourceLabel = files.length === 1 ? `"${files[0]}"` : `${files.length} source files`;
+    let timeout = null;
+    let isRunning = false;
+    let hasPendingRun = false;
+
+    const runNow = async () => {
+      if (isRunning) {
+        hasPendingRun = true;
+        return;
+      }
+
+      isRunning = true;
+      const isSuccess = await runGuarded(run);
+      if (!isSuccess) {
+        logger.warn(`[${formatTime()}] Failed to process ${sourceLabel}, the last output is kept`);
+      }
+      isRunning = false;
+
+      if (hasPendingRun) {
+        hasPendingRun = false;
+        runNow();
+      }
+    };
+
+    const fileNamesByDir = files.reduce((agg, file) => {
+      const dir = path.dirname(path.resolve(file));
+      agg[dir] = [...(agg[dir] || []), path.basename(file)];
+      return agg;
+    }, {});
+
+    const watchers = Object.entries(fileNamesByDir).map(([dir, fileNames]) => fs.watch(dir, (eventType, changedFile) => {
+      if (changedFile && !fileNames.includes(changedFile)) return;
+      clearTimeout(timeout);
+      timeout = setTimeout(runNow, debounceMs);
+    }));
+
+    logger.log(`Watching ${sourceLabel} for changes. Press Ctrl+C to stop.`);
+    return watchers;
   };
 
   /**
@@ -41,7 +268,8 @@ const createCommands = ({
    * @param {string[]} args 
    */
   const decodeCommand = async (args) => {
-    const [sourceFile, destFile] = args;
+    const { positional, options } = parseArgs(args, { watch: 'boolean' });
+    const [sourceFile, destFile] = positional;
     if (!sourceFile) {
       logger.log(`"decode" command is missing the source file.${decodeUsageText}`)
       return;
@@ -51,41 +279,246 @@ const createCommands = ({
       return;
     }
 
-    const decodedData = await doDecode(sourceFile);
-    if (!decodedData) return;
+    const runDecode = async () => {
+      // If the file can't be decoded (e.g. it's only half-written), the last output is kept
+      const decodedPages = await doDecode(sourceFile);
+      if (!decodedPages) return false;
+
+      await fsp.mkdir(path.dirname(destFile), { recursive: true });
+      await fsp.writeFile(destFile, formatDecodedPages(decodedPages), 'utf-8');
+
+      if (options.watch) {
+        logger.log(`[${formatTime()}] Decoded ${decodedPages.length} page(s) into "${destFile}"`);
+      }
+      return true;
+    };
+
+    await runGuarded(runDecode);
+    if (options.watch) doWatch(sourceFile, runDecode);
+  };
+
+  /**
+   * Read a decoded (or otherwise edited) diagram XML, and pack it back
+   * into a .drawio file that can be opened in Drawio.
+   *
+   * @param {string[]} args 
+   */
+  const encodeCommand = async (args) => {
+    const { positional, options } = parseArgs(args, { 'page-names': 'string', uncompressed: 'boolean' });
+    const [sourceFile, destFile] = positional;
+    if (!sourceFile) {
+      logger.error(`Error: "encode" command is missing the source file.${encodeUsageText}`)
+      return;
+    }
+    if (!destFile) {
+      logger.error(`Error: "encode" command is missing the destination file.${encodeUsageText}`)
+      return;
+    }
+
+    const decodedPages = await doDecode(sourceFile);
+    if (!decodedPages) return;
+
+    const pageNames = (options.pageNames || '').split(',').map((s) => s.trim());
+    const pages = decodedPages.map((page, index) => ({
+      ...page,
+      name: pageNames[index] || page.name,
+    }));
+
+    const encodedData = formatMxfile(pages, { compressed: !options.uncompressed });
+    if (!encodedData) {
+      logger.error(`Failed to encode data from source file`);
+      return;
+    }
 
     await fsp.mkdir(path.dirname(destFile), { recursive: true });
-    await fsp.writeFile(destFile, decodedData, 'utf-8');
+    await fsp.writeFile(destFile, encodedData, 'utf-8');
   };
 
   /**
-   * Parse a .drawio file, and decode the contents of the diagram element
-   * from base64 into utf-8 string, and save it to a new file.
-   * 
+   * Create DOM documents for the decoded pages, so they can be edited.
+   */
+  const createEditablePages = (decodedPages) => decodedPages.map((page) => ({
+    ...page,
+    label: getPageLabel(page),
+    document: new jsdom.JSDOM(page.data, { contentType: 'text/xml' }).window.document,
+  }));
+
+  /**
+   * Serialize the edited pages, and save them as a .drawio file.
+   *
+   * Returns the decoded pages with the updated XML, or null if encoding failed.
+   */
+  const saveEditablePages = async (pages, destFile, { compressed = true } = {}) => {
+    // Writing the XML into an image would replace the image
+    if (IMAGE_FILE_REGEX.test(destFile)) {
+      logger.error(`Error: Can't save the diagram into image "${destFile}". Save it to a .drawio file instead`);
+      return null;
+    }
+
+    const updatedPages = pages.map(({ index, id, name, document }) => ({
+      index,
+      id,
+      name,
+      data: serializeXml(document.documentElement),
+    }));
+
+    const encodedData = formatMxfile(updatedPages, { compressed });
+    if (!encodedData) {
+      logger.error(`Failed to encode the updated diagram`);
+      return null;
+    }
+
+    await fsp.mkdir(path.dirname(destFile), { recursive: true });
+    await fsp.writeFile(destFile, encodedData, 'utf-8');
+    return updatedPages;
+  };
+
+  /**
+   * Write the edits of assumptions and questions made in an exported CSV
+   * back into the .drawio file.
+   *
    * @param {string[]} args 
    */
-  const parseCommand = async (args) => {
-    const [sourceFile, exportType, ...exportArgs] = args;
+  const applyCommand = async (args) => {
+    const { positional, options } = parseArgs(args, {
+      out: 'string',
+      uncompressed: 'boolean',
+      'dry-run': 'boolean',
+      config: 'string',
+    });
+    const [drawioFile, csvFile] = positional;
+    if (!drawioFile) {
+      logger.error(`Error: "apply" command is missing the drawio file.${applyUsageText}`)
+      return;
+    }
+    if (!csvFile) {
+      logger.error(`Error: "apply" command is missing the CSV file.${applyUsageText}`)
+      return;
+    }
 
-    const parsers = {
-      containers: parseContainers,
-      assumptions: parseAssumptions,
-      questions: parseQuestions,
-    };
+    const config = doLoadConfig(options.config);
+    if (!config) return;
 
-    const transformers = [
-      transformConnectQuestions,
-      transformConnectContainers,
-    ];
+    const decodedPages = await doDecode(drawioFile);
+    if (!decodedPages) return;
 
-    const exporters = {
-      csv: exporterCsv,
-      xlsx: exporterXlsx,
-    };
+    let csvString;
+    try {
+      csvString = await fsp.readFile(csvFile, 'utf-8');
+    } catch (err) {
+      logger.error(`Error: Failed to read CSV file "${csvFile}": ${err.message}`);
+      return;
+    }
+    const { data: rows } = Papa.parse(csvString, { header: true, skipEmptyLines: true });
 
-    const parseUsageText = `\nUsage:\nparse <path/to/source_file> <export_type> <path/to/export_destination>\n\nWhere:\nexport_type: ${Object.keys(exporters).join(' | ')}`;
+    // CSV exported from several files has the same IDs in each of them, so only the rows of this file are applied
+    const includeRow = (row) => !row.source_file || path.resolve(row.source_file) === path.resolve(drawioFile);
 
-    if (!sourceFile) {
+    const pages = createEditablePages(decodedPages);
+    const { updated, unmatchedRows, ambiguousIds, conflicts } = applyRowEdits({ pages, rows, config, includeRow });
+
+    updated.forEach(({ ref, nodeId, page }) => logger.log(`Updated ${ref} (cell "${nodeId}" on page "${page}")`));
+    unmatchedRows.forEach(({ rowNumber, ref }) => logger.warn(`Warning: Row ${rowNumber} refers to ${ref}, which is not in the diagram`));
+    ambiguousIds.forEach(({ ref, reason, nodeIds }) => logger.warn(`Warning: Skipped ambiguous ${ref} - ${reason} (cells ${nodeIds.map((id) => `"${id}"`).join(', ')})`));
+    conflicts.forEach(({ ref, values }) => logger.warn(`Warning: Skipped ${ref} - rows give it different values: ${values.map((v) => JSON.stringify(v)).join(', ')}`));
+    logger.log(`${updated.length} cell(s) updated, ${unmatchedRows.length} row(s) unmatched, ${ambiguousIds.length} ambiguous ID(s), ${conflicts.length} conflict(s)`);
+
+    if (options.dryRun || !updated.length) return;
+
+    await saveEditablePages(pages, options.out || drawioFile, { compressed: !options.uncompressed });
+  };
+
+  /**
+   * Run the parsers and transformers over each of the decoded pages (see drawioProcessor.js).
+   *
+   * Returns null if any of the parsers failed.
+   */
+  const doParsePages = (decodedPages, { config, stages = createDefaultStages(config) }) => {
+    const parsedPages = parsePages(decodedPages, { ...stages, config });
+
+    const failedParsers = getParserErrors(parsedPages);
+    if (failedParsers.length) {
+      failedParsers.forEach(({ page, parserName, error }) => {
+        logger.error(`Error: Parser "${parserName}" failed on page "${page}": ${error.message}`);
+      });
+      logger.error(`Run the "lint" command to see all issues in the diagram.`);
+      return null;
+    }
+
+    return parsedPages;
+  };
+
+  /**
+   * Find the source files given as file paths, directories or glob patterns.
+   * Directories are searched (with subdirectories) for .drawio files, and .drawio.svg and .drawio.png images.
+   *
+   * Returns null if a directory or pattern matches no files. Missing files are reported when they are read.
+   *
+   * @param {string[]} sources
+   * @returns {{ sourceFiles: string[], isBatch: boolean }|null} `isBatch` is true when the files
+   *   should be exported together - if there are several sources, or a directory or pattern is given
+   */
+  const doFindSourceFiles = (sources) => {
+    const sourceFiles = [];
+    let isBatch = sources.length > 1;
+
+    for (const source of sources) {
+      let files = [source];
+      if (GLOB_CHAR_REGEX.test(source)) {
+        files = findGlobMatches(source);
+        isBatch = true;
+      } else if (fs.existsSync(source) && fs.statSync(source).isDirectory()) {
+        files = listFilesRecursive(source).filter((file) => DIAGRAM_FILE_REGEX.test(file));
+        isBatch = true;
+      }
+
+      if (!files.length) {
+        logger.error(`Error: No diagram files found in "${source}"`);
+        return null;
+      }
+      sourceFiles.push(...files);
+    }
+
+    return { sourceFiles: [...new Set(sourceFiles)], isBatch };
+  };
+
+  /**
+   * Parse .drawio files, extract the nodes of the configured types
+   * (e.g. assumptions and questions) and containers from each of their pages,
+   * and export them.
+   *
+   * Several files (or a directory or glob pattern) are exported together into one export,
+   * with the nodes of each file namespaced by its name (see `namespacePages` in drawioProcessor.js).
+   * 
+   * @param {string[]} args 
+   */
+  const parseCommand = async (args) => {
+    const { positional, options } = parseArgs(args, {
+      pages: 'string',
+      'assign-ids': 'boolean',
+      config: 'string',
+      watch: 'boolean',
+      plugin: 'string',
+      'rich-text': 'boolean',
+      'container-detection': 'string',
+      sort: 'string',
+    });
+    // Export type and destination come after any number of sources
+    const sources = positional.length > 2 ? positional.slice(0, -2) : positional.slice(0, 1);
+    const [exportType, exportFile] = positional.length > 2 ? positional.slice(-2) : positional.slice(1);
+
+    const config = doLoadConfig(options.config, options);
+    const stages = config && doLoadStages(options.plugin, config);
+    if (!stages) {
+      process.exitCode = 1;
+      return;
+    }
+
+    const { exporters } = stages;
+
+    const parseUsageText = `\nUsage:\nparse <path/to/source_file>... <export_type> <path/to/export_destination> [--pages <pages>] [--assign-ids] [--config <path/to/config_file>] [--plugin <path/to/plugin_file>] [--container-detection <strategy>] [--sort <mode>] [--rich-text] [--watch]\n\nWhere:\nsource_file: .drawio file, or .drawio.svg or .drawio.png image with the diagram embedded. Several files, directories or glob patterns (e.g. "boards/*.drawio") are exported together - with a source_file column in csv and xlsx, and a sheet per file in xlsx - and IDs are prefixed by the file name, e.g. "onboarding:A(1)".\nexport_type: ${Object.keys(exporters).join(' | ')}\npages: Comma-separated page names or 0-based page indices, e.g. "Page-1,2". All pages by default.\nassign-ids: Give IDs to assumptions, questions and notes that don't have one, and save them into the source file, so they stay the same between exports. Not available for .drawio.svg and .drawio.png images.\nconfig: JSON or JS file that defines the node types, e.g. their prefixes. Assumptions, questions and notes by default.\nplugin: JS file that adds custom parsers, transformers or exporters. Comma-separated to load several.\ncontainer-detection: parent | geometry. How nodes are assigned to containers - by the container they were dropped into (default), or also by position, e.g. when drawn on top of a big rectangle.\nsort: document | flow | position | id. Order of the containers, assumptions and questions in the export - as found in the file (default), along the arrows (e.g. assumptions before the ones that depend on them), in reading order of the board (top to bottom, left to right within each container), or by ID (and by numbering of the containers).\nrich-text: Keep the formatting of the values (bold, italics, links, line breaks) as Markdown, or as HTML in the html export.\nwatch: Export again each time any of the source files changes, and print a summary of the nodes and lint issues.`;
+
+    if (!sources.length) {
       logger.error(`Error: "parse" command is missing the source file.${parseUsageText}`)
       return;
     }
@@ -100,64 +533,383 @@ const createCommands = ({
       return;
     }
 
-    const decodedData = await doDecode(sourceFile);
-    if (!decodedData) return;
+    if (!exportFile) {
+      logger.error(`Error: "parse" command is missing the export destination.${parseUsageText}`)
+      return;
+    }
 
-    const dom = new jsdom.JSDOM(decodedData, {
-      contentType: 'text/xml',
-    });
+    const found = doFindSourceFiles(sources);
+    if (!found) {
+      process.exitCode = 1;
+      return;
+    }
+    const { sourceFiles, isBatch } = found;
+    const namespaces = getFileNamespaces(sourceFiles);
+
+    // Check before any IDs are assigned, so that none of the sources is saved half-way
+    const imageFile = options.assignIds && sourceFiles.find((sourceFile) => IMAGE_FILE_REGEX.test(sourceFile));
+    if (imageFile) {
+      logger.error(`Error: Can't assign IDs in image "${imageFile}", as the IDs are saved into the source file. Save the diagram to a .drawio file instead.${parseUsageText}`);
+      process.exitCode = 1;
+      return;
+    }
 
-    // Process individual parsers, and return summary object in shape:
-    // {
-    //   parserName: {
-    //     parser: Func
-    //     result: Any
-    //     error: Error
-    //   }
-    // }
-    const parsedData = Object.entries(parsers).reduce((resultAgg, [parserName, parserFn]) => {
-      let parserResult = null;
-      let parserError = null;
-      try {
-        parserResult = parserFn(dom.window.document);
-      } catch (err) {
-        console.error(err);
-        parserError = err;
+    /**
+     * Decode, select and parse the pages of a single source file.
+     * Returns null if the file can't be decoded or parsed.
+     */
+    const parseSourceFile = async (sourceFile) => {
+      let decodedPages = await doDecode(sourceFile);
+      if (!decodedPages) return null;
+
+      if (options.assignIds) {
+        // IDs are assigned across all pages, not only the selected ones, so they don't clash
+        const pages = createEditablePages(decodedPages);
+        const assigned = assignMissingIds({ pages, config });
+        assigned.forEach(({ ref, nodeId, page }) => logger.log(`Assigned ${ref} to cell "${nodeId}" on page "${page}"`));
+
+        if (assigned.length) {
+          // Keep the encoding of the source, so saving it doesn't rewrite every page
+          decodedPages = await saveEditablePages(pages, sourceFile, { compressed: pages.every((page) => page.compressed) });
+          if (!decodedPages) return null;
+        }
       }
 
-      resultAgg[parserName] = {
-        parser: parserFn,
-        result: parserResult,
-        error: parserError,
-      };
+      const selectedPages = selectPages(decodedPages, options.pages);
+      const parsedPages = doParsePages(selectedPages, { config, stages });
+      if (!parsedPages) return null;
 
-      return resultAgg;
-    }, {});
+      return { selectedPages, parsedPages };
+    };
+
+    // If any of the files can't be decoded or parsed (e.g. it's only half-written), nothing is exported,
+    // so the last output is kept
+    const runParse = async () => {
+      const selectedPages = [];
+      const parsedPages = [];
+      for (const [index, sourceFile] of sourceFiles.entries()) {
+        const result = await parseSourceFile(sourceFile);
+        if (!result) return false;
+
+        selectedPages.push(...result.selectedPages);
+        parsedPages.push(...(isBatch
+          ? namespacePages(result.parsedPages, { sourceFile, namespace: namespaces[index], config })
+          : result.parsedPages));
+      }
+
+      if (!parsedPages.length) {
+        logger.error(`Error: No pages match "${options.pages}".${parseUsageText}`)
+        return false;
+      }
+
+      const output = await exporters[exportType](parsedPages, { config, richText: Boolean(options.richText) });
+
+      await fsp.mkdir(path.dirname(exportFile), { recursive: true });
+      await fsp.writeFile(exportFile, output);
+
+      if (options.watch) {
+        const nodeCounts = config.nodeTypes.map((nodeType) => {
+          const count = parsedPages.reduce((sum, page) => sum + page.data[nodeType.key].result.length, 0);
+          return `${count} ${(count === 1 ? nodeType.label : nodeType.labelPlural).toLowerCase()}`;
+        });
+        const issues = doLintPages(selectedPages, config);
+        const errorCount = issues.filter((issue) => issue.severity === 'error').length;
+        const filesText = isBatch ? ` from ${sourceFiles.length} file(s)` : '';
+        logger.log(`[${formatTime()}] Exported ${parsedPages.length} page(s)${filesText}: ${nodeCounts.join(', ')}. Lint: ${errorCount} error(s), ${issues.length - errorCount} warning(s)`);
+      }
+      return true;
+    };
+
+    const isSuccess = await runGuarded(runParse);
+    if (options.watch) {
+      doWatch(sourceFiles, runParse);
+    } else if (!isSuccess) {
+      process.exitCode = 1;
+    }
+  };
+
+  /**
+   * Find the structural issues (see drawioLinter.js) in each of the decoded pages.
+   */
+  const doLintPages = (decodedPages, config) => {
+    // Duplicates are allowed, so the rest of the checks can run, and are reported by the linter instead
+    const parsers = createParsers(config, { allowDuplicates: true });
+    const transformers = createTransformers(config);
+
+    return createEditablePages(decodedPages).flatMap((page) => {
+      const data = parsePage(page.document, { parsers, transformers, config });
+      return lintPage({ document: page.document, data, config })
+        .map((issue) => ({ page: page.label, ...issue }));
+    });
+  };
+
+  /**
+   * Check the structure of a .drawio file, e.g. duplicate IDs or edges
+   * to deleted cells, and report all issues found.
+   *
+   * Sets the exit code to 1 if there are errors, so it can be used in CI.
+   *
+   * @param {string[]} args 
+   */
+  const lintCommand = async (args) => {
+    const { positional, options } = parseArgs(args, {
+      format: 'string',
+      pages: 'string',
+      strict: 'boolean',
+      config: 'string',
+      'container-detection': 'string',
+    });
+    const [sourceFile] = positional;
+    const format = options.format || 'text';
+
+    if (!sourceFile) {
+      logger.error(`Error: "lint" command is missing the drawio file.${lintUsageText}`)
+      process.exitCode = 2;
+      return;
+    }
+
+    if (!['text', 'json'].includes(format)) {
+      logger.error(`Error: Unknown format "${format}".${lintUsageText}`)
+      process.exitCode = 2;
+      return;
+    }
+
+    const config = doLoadConfig(options.config, options);
+    const decodedPages = config && await doDecode(sourceFile);
+    if (!decodedPages) {
+      process.exitCode = 2;
+      return;
+    }
+
+    const selectedPages = selectPages(decodedPages, options.pages);
+    if (!selectedPages.length) {
+      logger.error(`Error: No pages match "${options.pages}".${lintUsageText}`)
+      process.exitCode = 2;
+      return;
+    }
+
+    const issues = doLintPages(selectedPages, config);
+
+    const errorCount = issues.filter((issue) => issue.severity === 'error').length;
+    const warningCount = issues.length - errorCount;
+
+    if (format === 'json') {
+      logger.log(JSON.stringify({ errorCount, warningCount, issues }, null, 2));
+    } else {
+      issues.forEach(({ page, severity, code, message, cellId }) => {
+        const cellText = cellId ? ` (cell "${cellId}")` : '';
+        logger.log(`${page}: ${severity} [${code}] ${message}${cellText}`);
+      });
+      logger.log(`${errorCount} error(s), ${warningCount} warning(s)`);
+    }
+
+    if (errorCount || (options.strict && warningCount)) {
+      process.exitCode = 1;
+    }
+  };
+
+  /**
+   * Compare two versions of a .drawio file, and report the changes
+   * of the nodes (e.g. reworded assumptions), instead of the changes of the XML.
+   *
+   * @param {string[]} args 
+   */
+  const diffCommand = async (args) => {
+    const { positional, options } = parseArgs(args, {
+      format: 'string',
+      out: 'string',
+      pages: 'string',
+      config: 'string',
+      'container-detection': 'string',
+    });
+    const [oldFile, newFile] = positional;
+    const format = options.format || 'text';
+
+    if (!oldFile || !newFile) {
+      logger.error(`Error: "diff" command is missing the ${oldFile ? 'new' : 'old'} file.${diffUsageText}`)
+      return;
+    }
+
+    if (!['text', 'markdown', 'json'].includes(format)) {
+      logger.error(`Error: Unknown format "${format}".${diffUsageText}`)
+      return;
+    }
+
+    const config = doLoadConfig(options.config, options);
+    if (!config) return;
+
+    const loadPages = async (sourceFile) => {
+      const decodedPages = await doDecode(sourceFile);
+      return decodedPages && doParsePages(selectPages(decodedPages, options.pages), { config });
+    };
+
+    const oldPages = await loadPages(oldFile);
+    const newPages = oldPages && await loadPages(newFile);
+    if (!newPages) {
+      process.exitCode = 1;
+      return;
+    }
+
+    const changes = diffPages({ oldPages, newPages, config });
+
+    const output = format === 'json' ? JSON.stringify({ changes }, null, 2) :
+      format === 'markdown' ? renderDiffMarkdown(changes, config) :
+      renderDiffText(changes, config);
+
+    if (!options.out) {
+      logger.log(output);
+      return;
+    }
+
+    await fsp.mkdir(path.dirname(options.out), { recursive: true });
+    await fsp.writeFile(options.out, output, 'utf-8');
+  };
+
+  /**
+   * Count the nodes per container of a .drawio file, e.g. assumptions without questions,
+   * to see how well the research plan is covered (see drawioStats.js).
+   *
+   * Sets the exit code to 1 if the coverage is below the given minimum, so it can be used in CI.
+   *
+   * @param {string[]} args 
+   */
+  const statsCommand = async (args) => {
+    const { positional, options } = parseArgs(args, {
+      format: 'string',
+      pages: 'string',
+      'min-coverage': 'string',
+      config: 'string',
+      'container-detection': 'string',
+    });
+    const [sourceFile] = positional;
+    const format = options.format || 'text';
+    const minCoverage = options.minCoverage != null ? Number(options.minCoverage) : null;
+
+    if (!sourceFile) {
+      logger.error(`Error: "stats" command is missing the drawio file.${statsUsageText}`)
+      process.exitCode = 2;
+      return;
+    }
+
+    if (!['text', 'json'].includes(format)) {
+      logger.error(`Error: Unknown format "${format}".${statsUsageText}`)
+      process.exitCode = 2;
+      return;
+    }
+
+    if (minCoverage != null && !(minCoverage >= 0 && minCoverage <= 100)) {
+      logger.error(`Error: Minimum coverage must be a percentage between 0 and 100, got "${options.minCoverage}".${statsUsageText}`)
+      process.exitCode = 2;
+      return;
+    }
+
+    const config = doLoadConfig(options.config, options);
+    const decodedPages = config && await doDecode(sourceFile);
+    if (!decodedPages) {
+      process.exitCode = 2;
+      return;
+    }
+
+    const selectedPages = selectPages(decodedPages, options.pages);
+    if (!selectedPages.length) {
+      logger.error(`Error: No pages match "${options.pages}".${statsUsageText}`)
+      process.exitCode = 2;
+      return;
+    }
 
-    const transformedData = transformers.reduce((prevResult, fn) => fn(prevResult), parsedData);
+    const parsedPages = doParsePages(selectedPages, { config });
+    if (!parsedPages) {
+      process.exitCode = 2;
+      return;
+    }
 
-    // console.dir({
-    //   assumptions: transformedData.assumptions.result.map((n) => ({
-    //     nodeId: n.nodeId,
-    //     value: n.value,
-    //     parentId: n.parentId,
-    //     container: n.container
-    //   }))
-    // }, {
-    //   depth: 4
-    // });
+    const stats = getPageStats(parsedPages, config);
+    const { coverage } = stats.total;
 
-    await exporterCsv(transformedData, exportArgs);
-    // console.dir(await exporterCsv(transformedData, exportArgs), {
-    //   depth: 5
-    // });
+    if (format === 'json') {
+      logger.log(JSON.stringify(stats, null, 2));
+    } else {
+      logger.log(renderStatsText(stats));
+      logger.log(`\nCoverage: ${formatCoverage(coverage)} of ${config.primaryType.labelPlural.toLowerCase()} have ${config.itemTypes.map((t) => t.labelPlural.toLowerCase()).join(' or ')}`);
+    }
 
-    // TODO
+    // A plan without any assumptions has nothing to cover
+    if (minCoverage != null && coverage != null && coverage * 100 < minCoverage) {
+      logger.error(`Coverage ${formatCoverage(coverage)} is below the minimum of ${minCoverage}%`);
+      process.exitCode = 1;
+    }
+  };
+
+  /**
+   * Generate a .drawio file from a research plan kept in a spreadsheet (CSV or XLSX),
+   * with the same columns as the CSV export. Reverse of the "parse" command.
+   *
+   * @param {string[]} args 
+   */
+  const generateCommand = async (args) => {
+    const { positional, options } = parseArgs(args, {
+      uncompressed: 'boolean',
+      config: 'string',
+    });
+    const [planFile, destFile] = positional;
+    if (!planFile) {
+      logger.error(`Error: "generate" command is missing the plan file.${generateUsageText}`)
+      process.exitCode = 1;
+      return;
+    }
+    if (!destFile) {
+      logger.error(`Error: "generate" command is missing the destination file.${generateUsageText}`)
+      process.exitCode = 1;
+      return;
+    }
+
+    const config = doLoadConfig(options.config);
+    if (!config) {
+      process.exitCode = 1;
+      return;
+    }
+
+    let rows;
+    try {
+      const content = await fsp.readFile(planFile);
+      rows = path.extname(planFile).toLowerCase() === '.xlsx'
+        ? await readXlsxRows(content)
+        : Papa.parse(content.toString('utf-8'), { header: true, skipEmptyLines: true }).data;
+    } catch (err) {
+      logger.error(`Error: Failed to read plan file "${planFile}": ${err.message}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const primaryColumns = [`${config.primaryType.name}Id`, config.primaryType.name];
+    if (!rows.some((row) => primaryColumns.some((column) => row[column]))) {
+      logger.error(`Error: Plan file "${planFile}" has no rows with "${primaryColumns.join('" or "')}" column.${generateUsageText}`)
+      process.exitCode = 1;
+      return;
+    }
+
+    const pages = generateDiagram(rows, { config });
+    const encodedData = formatMxfile(pages, { compressed: !options.uncompressed });
+    if (!encodedData) {
+      logger.error(`Failed to encode the generated diagram`);
+      process.exitCode = 1;
+      return;
+    }
+
+    await fsp.mkdir(path.dirname(destFile), { recursive: true });
+    await fsp.writeFile(destFile, encodedData, 'utf-8');
+    logger.log(`Generated ${pages.length} page(s) from ${rows.length} row(s)`);
   };
 
   return {
     decode: decodeCommand,
+    encode: encodeCommand,
     parse: parseCommand,
+    apply: applyCommand,
+    lint: lintCommand,
+    diff: diffCommand,
+    stats: statsCommand,
+    generate: generateCommand,
   };
 };
 
@@ -169,13 +921,13 @@ const cli = async (options) => {
 
   const args = process.argv.slice(2);
   const command = (args.shift() || '').toLowerCase();
+  const commands = createCommands(options);
 
   if (!command) {
     logger.error(`No command selected. Available commands: ${Object.keys(commands).join(' ')}`);
     return;
   }
 
-  const commands = createCommands(options);
   if (!commands[command]) {
     logger.error(`Unknown command "${command}"`);
     return;
@@ -0,0 +1,178 @@
+//
+// Configuration of the node types (e.g. assumptions or questions) that are extracted from a .drawio file
+//
+
+const fs = require('fs');
+const path = require('path');
+const { upperFirst } = require('lodash');
+
+/**
+ * @typedef {Object} NodeTypeConfig
+ * @property {string} name - Singular name of the type, used in export columns,
+ *   e.g. "assumption" gives columns "assumptionId" and "assumption"
+ * @property {string} prefix - Prefix that marks the nodes of this type in the diagram,
+ *   e.g. "A" for "A(12): ..."
+ * @property {string} [key] - Key of the parsed nodes in the data, and of the connected nodes
+ *   of this type on other nodes. Defaults to `${name}s`
+ * @property {string} [label] - Display name, e.g. "Assumption". Defaults to the capitalized name
+ * @property {string} [labelPlural] - Display name for multiple nodes. Defaults to `${label}s`
+ * @property {boolean} [primary] - Exports have a row for each node of the primary type.
+ *   Defaults to the first type
+ * @property {string[]} [linksTo] - Names of the types that the nodes of this type are
+ *   connected to via edges. Use "container" to connect to containers
+ * @property {boolean} [subItems] - Whether the value holds a list of sub-items, written
+ *   as lines starting with a dash (e.g. sub-questions)
+ * @property {boolean} [multiline] - Whether line breaks in the value are kept
+ * @property {boolean} [dependencies] - Whether edges between the nodes of this type form
+ *   a dependency graph
+ * @property {string[]} [properties] - Custom properties of the cells (set in Drawio via Edit Data)
+ *   exported as extra columns, e.g. `["owner", "priority", "tags"]` gives columns "assumption_owner",
+ *   "assumption_priority" and "assumption_tags"
+ */
+
+/**
+ * @typedef {Object} Config
+ * @property {NodeTypeConfig[]} nodeTypes
+ * @property {'parent'|'geometry'} containerDetection - How nodes are assigned to containers.
+ *   By the container they were dropped into in Drawio (`parent`), or also by their position
+ *   (`geometry`), e.g. for nodes drawn on top of a big rectangle. Defaults to `parent`
+ * @property {'document'|'flow'|'position'|'id'} sort - Order of the containers and nodes in the exports.
+ *   As found in the file (`document`), along the arrows between the nodes, e.g. assumptions before
+ *   the assumptions that depend on them (`flow`), in reading order of their positions - top to bottom,
+ *   left to right within each container (`position`), or by the IDs of the nodes and numbering
+ *   of the containers (`id`). Defaults to `document`
+ * @property {NodeTypeConfig} primaryType - Type whose nodes are the rows of the exports
+ * @property {NodeTypeConfig[]} itemTypes - Types with sub-items connected to the primary type
+ *   (e.g. questions), whose sub-items are the rows under the primary nodes
+ * @property {NodeTypeConfig[]} annotationTypes - Remaining types (e.g. notes), exported
+ *   as extra columns
+ */
+
+const defaultConfig = {
+  nodeTypes: [
+    { name: 'assumption', prefix: 'A', primary: true, dependencies: true },
+    { name: 'question', prefix: 'Q', linksTo: ['assumption'], subItems: true },
+    { name: 'note', prefix: 'N', linksTo: ['assumption', 'question', 'container'], multiline: true },
+  ],
+};
+
+const CONTAINER_DETECTIONS = ['parent', 'geometry'];
+const SORT_MODES = ['document', 'flow', 'position', 'id'];
+
+/**
+ * Validate the config, fill in the defaults, and decide the role
+ * of each node type in the exports.
+ *
+ * @param {Object} config
+ * @returns {Config}
+ */
+const normalizeConfig = (config) => {
+  const {
+    nodeTypes: rawNodeTypes,
+    containerDetection = 'parent',
+    sort = 'document',
+  } = config || {};
+
+  if (!Array.isArray(rawNodeTypes) || !rawNodeTypes.length) {
+    throw Error('Config must define at least one node type in "nodeTypes"');
+  }
+  if (!CONTAINER_DETECTIONS.includes(containerDetection)) {
+    throw Error(`Config "containerDetection" must be one of: ${CONTAINER_DETECTIONS.join(', ')}`);
+  }
+  if (!SORT_MODES.includes(sort)) {
+    throw Error(`Config "sort" must be one of: ${SORT_MODES.join(', ')}`);
+  }
+
+  const nodeTypes = rawNodeTypes.map((nodeType, index) => {
+    const { name, prefix } = nodeType || {};
+    if (!name || !/^\w+$/.test(name)) {
+      throw Error(`Node type #${index + 1} must have a "name" made of letters, digits or underscores`);
+    }
+    if (!prefix || !/^\w+$/.test(prefix)) {
+      throw Error(`Node type "${name}" must have a "prefix" made of letters, digits or underscores`);
+    }
+    const { properties = [] } = nodeType;
+    if (!Array.isArray(properties) || properties.some((property) => typeof property !== 'string' || !property)) {
+      throw Error(`Node type "${name}" must have "properties" as a list of property names`);
+    }
+
+    const label = nodeType.label || upperFirst(name);
+    return {
+      key: `${name}s`,
+      labelPlural: `${label}s`,
+      linksTo: [],
+      subItems: false,
+      multiline: false,
+      dependencies: false,
+      properties: [],
+      ...nodeType,
+      label,
+      primary: false,
+    };
+  });
+
+  const names = new Set();
+  const prefixes = new Set();
+  nodeTypes.forEach((nodeType) => {
+    if (names.has(nodeType.name) || nodeType.name === 'container') {
+      throw Error(`Node type name "${nodeType.name}" is used more than once, or is reserved`);
+    }
+    if (prefixes.has(nodeType.prefix.toLowerCase())) {
+      throw Error(`Node type prefix "${nodeType.prefix}" is used more than once`);
+    }
+    names.add(nodeType.name);
+    prefixes.add(nodeType.prefix.toLowerCase());
+  });
+
+  nodeTypes.forEach((nodeType) => {
+    const unknownType = nodeType.linksTo.find((linkedName) => linkedName !== 'container' && !names.has(linkedName));
+    if (unknownType) {
+      throw Error(`Node type "${nodeType.name}" links to unknown type "${unknownType}"`);
+    }
+  });
+
+  const primaryIndex = Math.max(0, rawNodeTypes.findIndex((nodeType) => nodeType.primary));
+  const primaryType = nodeTypes[primaryIndex];
+  primaryType.primary = true;
+
+  const isLinked = (typeA, typeB) => typeA.linksTo.includes(typeB.name) || typeB.linksTo.includes(typeA.name);
+  const itemTypes = nodeTypes.filter((nodeType) => (
+    nodeType !== primaryType && nodeType.subItems && isLinked(nodeType, primaryType)
+  ));
+  const annotationTypes = nodeTypes.filter((nodeType) => nodeType !== primaryType && !itemTypes.includes(nodeType));
+
+  return {
+    nodeTypes,
+    primaryType,
+    itemTypes,
+    annotationTypes,
+    containerDetection,
+    sort,
+  };
+};
+
+/**
+ * Load config from a JSON or JS file. Without a file, the default config
+ * (assumptions, questions and notes) is used.
+ *
+ * @param {string} [configFile]
+ * @returns {Config}
+ */
+const loadConfig = (configFile) => {
+  if (!configFile) return normalizeConfig(defaultConfig);
+
+  const configPath = path.resolve(configFile);
+  if (!fs.existsSync(configPath)) {
+    throw Error('File does not exist');
+  }
+
+  return normalizeConfig(require(configPath));
+};
+
+module.exports = {
+  CONTAINER_DETECTIONS,
+  SORT_MODES,
+  defaultConfig,
+  normalizeConfig,
+  loadConfig,
+};
@@ -0,0 +1,228 @@
+//
+// Semantic diff between two versions of parsed pages of a .drawio file
+//
+
+const { getPageLabel, getContainerPath, formatSubItems } = require('./drawioExporters');
+const { getNodeKey, getNodesOfType } = require('./drawioParsers');
+const { createTextFormatter } = require('./drawioRichText');
+
+/**
+ * @typedef {Object} DiffChange
+ * @property {'added'|'removed'|'reworded'|'relinked'|'moved'} kind
+ * @property {string} page - Label of the page
+ * @property {string} type - Name of the node type, e.g. "assumption"
+ * @property {string} ref - Key of the node, e.g. "A(88)". Nodes without ID are shown as "A(?)"
+ * @property {string} [value] - Text of the added or removed node
+ * @property {string} [oldValue] - Previous text of a reworded node, or previous container of a moved node
+ * @property {string} [newValue] - New text of a reworded node, or new container of a moved node
+ * @property {string} [linkedType] - Name of the type whose links changed, e.g. "assumption"
+ * @property {string[]} [addedLinks] - Keys of the nodes the node was linked to
+ * @property {string[]} [removedLinks] - Keys of the nodes the node was unlinked from
+ */
+
+const CHANGE_KINDS = ['added', 'removed', 'reworded', 'relinked', 'moved'];
+
+const getNodeRef = (node) => (node.isAutoId ? `${node.prefix}(?)` : getNodeKey(node));
+
+/**
+ * Text of the node that is compared between versions. For node types with
+ * sub-items, only the sub-items are compared, one per line.
+ */
+const getComparedValue = (nodeType, node) => (
+  nodeType.subItems ? formatSubItems(node) : node.value
+);
+
+/**
+ * Collect the nodes of all pages into a map, keyed by the page, type and ID of the node,
+ * so the same node can be found in the other version.
+ *
+ * Nodes without ID are matched by their text instead, as their generated IDs
+ * may differ between the versions.
+ */
+const createSnapshot = (pages, config) => {
+  const snapshot = new Map();
+
+  pages.forEach((page) => config.nodeTypes.forEach((nodeType) => {
+    // Links are compared only on the side that declares them, so each change is reported once
+    const linkedTypes = config.nodeTypes.filter((otherType) => nodeType.linksTo.includes(otherType.name));
+
+    getNodesOfType(page.data, nodeType).forEach((node) => {
+      const value = getComparedValue(nodeType, node);
+      const matchId = node.isAutoId ? `text:${value}` : `id:${node.prefixId}`;
+
+      let key = [getPageLabel(page), nodeType.name, matchId].join('\0');
+      for (let n = 2; snapshot.has(key); n++) {
+        key = [getPageLabel(page), nodeType.name, matchId, n].join('\0');
+      }
+
+      snapshot.set(key, {
+        page: getPageLabel(page),
+        nodeType,
+        ref: getNodeRef(node),
+        value,
+        container: getContainerPath(node.container).join(' / '),
+        links: linkedTypes.map((linkedType) => ({
+          linkedType,
+          refs: (node[linkedType.key] || []).map(getNodeRef),
+        })),
+      });
+    });
+  }));
+
+  return snapshot;
+};
+
+/**
+ * Compare two versions of the parsed pages, and list the changes of the nodes:
+ * added, removed or reworded nodes, nodes linked to different nodes,
+ * and nodes moved between containers.
+ *
+ * Nodes are matched by their page and prefixed ID, e.g. "A(88)".
+ *
+ * @param {Object} input
+ * @param {Object[]} input.oldPages - Parsed pages, each in shape `{ index, id, name, data }`
+ * @param {Object[]} input.newPages - Parsed pages, each in shape `{ index, id, name, data }`
+ * @param {import('./drawioConfig').Config} input.config
+ * @returns {DiffChange[]}
+ */
+const diffPages = ({ oldPages, newPages, config }) => {
+  const oldSnapshot = createSnapshot(oldPages, config);
+  const newSnapshot = createSnapshot(newPages, config);
+
+  const changes = [];
+  const addChange = (kind, entry, details) => {
+    changes.push({ kind, page: entry.page, type: entry.nodeType.name, ref: entry.ref, ...details });
+  };
+
+  oldSnapshot.forEach((oldEntry, key) => {
+    if (!newSnapshot.has(key)) addChange('removed', oldEntry, { value: oldEntry.value });
+  });
+
+  newSnapshot.forEach((newEntry, key) => {
+    const oldEntry = oldSnapshot.get(key);
+    if (!oldEntry) {
+      addChange('added', newEntry, { value: newEntry.value });
+      return;
+    }
+
+    if (oldEntry.value !== newEntry.value) {
+      addChange('reworded', newEntry, { oldValue: oldEntry.value, newValue: newEntry.value });
+    }
+
+    newEntry.links.forEach(({ linkedType, refs }) => {
+      const oldRefs = oldEntry.links.find((link) => link.linkedType.name === linkedType.name).refs;
+      const addedLinks = refs.filter((ref) => !oldRefs.includes(ref));
+      const removedLinks = oldRefs.filter((ref) => !refs.includes(ref));
+      if (!addedLinks.length && !removedLinks.length) return;
+
+      addChange('relinked', newEntry, { linkedType: linkedType.name, addedLinks, removedLinks });
+    });
+
+    if (oldEntry.container !== newEntry.container) {
+      addChange('moved', newEntry, { oldValue: oldEntry.container, newValue: newEntry.container });
+    }
+  });
+
+  const pageOrder = [...new Set([...newPages, ...oldPages].map(getPageLabel))];
+  const typeOrder = config.nodeTypes.map((nodeType) => nodeType.name);
+
+  // Stable sort keeps the order of the nodes in the diagram within the same group
+  return changes.sort((a, b) => (
+    (pageOrder.indexOf(a.page) - pageOrder.indexOf(b.page))
+    || (CHANGE_KINDS.indexOf(a.kind) - CHANGE_KINDS.indexOf(b.kind))
+    || (typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type))
+  ));
+};
+
+const groupByPage = (changes) => changes.reduce((agg, change) => {
+  agg[change.page] = agg[change.page] || [];
+  agg[change.page].push(change);
+  return agg;
+}, {});
+
+const formatLinkChanges = ({ addedLinks, removedLinks }) => [
+  ...addedLinks.map((ref) => `+${ref}`),
+  ...removedLinks.map((ref) => `-${ref}`),
+].join(', ');
+
+const renderDiffText = (changes, config) => {
+  const getLabel = (typeName) => config.nodeTypes.find((nodeType) => nodeType.name === typeName).label;
+  const oneLine = (text) => JSON.stringify(text);
+  const lines = [];
+
+  Object.entries(groupByPage(changes)).forEach(([page, pageChanges]) => {
+    lines.push(`Page "${page}":`);
+    pageChanges.forEach((change) => {
+      const label = `${getLabel(change.type)} ${change.ref}`;
+      switch (change.kind) {
+        case 'added':
+          lines.push(`  + ${label}: ${oneLine(change.value)}`);
+          break;
+        case 'removed':
+          lines.push(`  - ${label}: ${oneLine(change.value)}`);
+          break;
+        case 'reworded':
+          lines.push(`  ~ ${label} reworded: ${oneLine(change.oldValue)} -> ${oneLine(change.newValue)}`);
+          break;
+        case 'relinked':
+          lines.push(`  ~ ${label} re-linked to ${change.linkedType}: ${formatLinkChanges(change)}`);
+          break;
+        case 'moved':
+          lines.push(`  > ${label} moved: ${oneLine(change.oldValue || '(no container)')} -> ${oneLine(change.newValue || '(no container)')}`);
+          break;
+      }
+    });
+    lines.push('');
+  });
+
+  lines.push(`${changes.length} change(s)`);
+  return lines.join('\n');
+};
+
+const renderDiffMarkdown = (changes, config) => {
+  const getLabel = (typeName) => config.nodeTypes.find((nodeType) => nodeType.name === typeName).label;
+  // Values are plain text, and are escaped so they are not read as Markdown (or HTML in it)
+  const { fromPlainText: escape } = createTextFormatter('markdown');
+  // Multi-line values (e.g. sub-items) are kept on the same list item
+  const inline = (text) => (text ? text.split('\n').map(escape).join('<br>') : '_(none)_');
+  const headings = {
+    added: 'Added',
+    removed: 'Removed',
+    reworded: 'Reworded',
+    relinked: 'Re-linked',
+    moved: 'Moved',
+  };
+
+  const lines = ['# Changes', ''];
+  if (!changes.length) lines.push('No changes.', '');
+
+  Object.entries(groupByPage(changes)).forEach(([page, pageChanges]) => {
+    lines.push(`## ${escape(page)}`, '');
+
+    CHANGE_KINDS.forEach((kind) => {
+      const kindChanges = pageChanges.filter((change) => change.kind === kind);
+      if (!kindChanges.length) return;
+
+      lines.push(`### ${headings[kind]}`, '');
+      kindChanges.forEach((change) => {
+        const label = `**${escape(change.ref)}** (${escape(getLabel(change.type))})`;
+        if (kind === 'added' || kind === 'removed') {
+          lines.push(`- ${label}: ${inline(change.value)}`);
+        } else if (kind === 'relinked') {
+          lines.push(`- ${label}: ${change.linkedType} ${escape(formatLinkChanges(change))}`);
+        } else {
+          lines.push(`- ${label}: ~~${inline(change.oldValue)}~~ → ${inline(change.newValue)}`);
+        }
+      });
+      lines.push('');
+    });
+  });
+
+  return lines.join('\n');
+};
+
+module.exports = {
+  diffPages,
+  renderDiffText,
+  renderDiffMarkdown,
+};
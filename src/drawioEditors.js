@@ -0,0 +1,345 @@
+//
+// Editors that write changes back into the XML content of a <diagram> element in a .drawio file
+//
+
+const { decodeHTML } = require('entities');
+
+const { findPrefixedNodes, extractSubItems, isHtmlCell, genPrefixRegexp, createIdGen, getCellValue, setCellValue } = require('./drawioParsers');
+const { loadConfig } = require('./drawioConfig');
+
+/**
+ * Split HTML into tags, entities and individual characters, remembering
+ * where in the HTML each of them is, and what text they represent.
+ *
+ * @param {string} html
+ */
+const tokenizeHtml = (html) => {
+  const tokenRegex = /<[^>]*>|&(?:#\d+|#x[\da-f]+|\w+);|[\s\S]/gi;
+  return [...html.matchAll(tokenRegex)].map((match) => {
+    const raw = match[0];
+    const isTag = raw.startsWith('<') && raw.length > 1;
+    return {
+      raw,
+      end: match.index + raw.length,
+      // Entities are decoded the same way as by the parsers, e.g. "&nbsp;" is a non-breaking space
+      text: isTag ? '' : decodeHTML(raw),
+    };
+  });
+};
+
+/**
+ * Get the plain text of a cell value, and for each of its characters,
+ * the position in the raw value where the character ends.
+ */
+const mapPlainText = (rawValue, { html }) => {
+  let plainText = '';
+  const rawOffsets = [];
+  for (const token of tokenizeHtml(rawValue)) {
+    const text = html ? token.text : token.raw;
+    for (let i = 0; i < text.length; i++) rawOffsets.push(token.end);
+    plainText += text;
+  }
+  return { plainText, rawOffsets };
+};
+
+const encodeCellText = (text, { html }) => {
+  if (!html) return text;
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/\r?\n/g, '<br>');
+};
+
+/**
+ * Replace the text that follows the prefix (e.g. "A(88): ") in the value
+ * of a cell. The prefix and the HTML tags that surround the text
+ * (e.g. <font> or <span>) are kept.
+ *
+ * Returns null if the value has no such prefix.
+ *
+ * @param {string} rawValue
+ * @param {string} prefix
+ * @param {string} newText
+ * @param {Object} [options]
+ * @param {boolean} [options.html=true] - Whether the cell value is HTML (style contains `html=1`)
+ */
+const replacePrefixedText = (rawValue, prefix, newText, options) => {
+  const {
+    html = true,
+  } = options || {};
+
+  const { plainText, rawOffsets } = mapPlainText(rawValue, { html });
+  const match = plainText.match(genPrefixRegexp(prefix));
+  if (!match) return null;
+
+  const textStart = match.index + match[0].length;
+  const rawStart = textStart > 0 ? rawOffsets[textStart - 1] : 0;
+  const rawEnd = textStart < plainText.length ? rawOffsets[plainText.length - 1] : rawStart;
+
+  return rawValue.slice(0, rawStart) + encodeCellText(newText, { html }) + rawValue.slice(rawEnd);
+};
+
+/**
+ * Replace the n-th (0-based) sub-item in the value of a cell (e.g. sub-question
+ * of a Question cell), as found by `extractSubItems`. The list marker
+ * (e.g. "- " or <li>) and the tags around the sub-item are kept.
+ *
+ * Returns null if there is no such sub-item.
+ *
+ * @param {string} rawValue
+ * @param {number} index
+ * @param {string} newText
+ * @param {Object} [options]
+ * @param {boolean} [options.html=true] - Whether the cell value is HTML (style contains `html=1`)
+ */
+const replaceSubItem = (rawValue, index, newText, options) => {
+  const {
+    html = true,
+  } = options || {};
+
+  const subItem = extractSubItems(rawValue, { html })[index];
+  if (!subItem) return null;
+
+  return rawValue.slice(0, subItem.rawStart) + encodeCellText(newText, { html }) + rawValue.slice(subItem.rawEnd);
+};
+
+/**
+ * Add ID to the prefix in the value of a cell, e.g. "A: ..." to "A(123): ...",
+ * keeping the rest of the value, including the HTML tags, as is.
+ *
+ * Returns null if the value has no such prefix.
+ *
+ * @param {string} rawValue
+ * @param {string} prefix
+ * @param {string} prefixId
+ * @param {Object} [options]
+ * @param {boolean} [options.html=true] - Whether the cell value is HTML (style contains `html=1`)
+ */
+const insertPrefixId = (rawValue, prefix, prefixId, options) => {
+  const {
+    html = true,
+  } = options || {};
+
+  const { plainText, rawOffsets } = mapPlainText(rawValue, { html });
+  const match = plainText.match(genPrefixRegexp(prefix));
+  if (!match) return null;
+
+  // The match may start with the ">" that precedes the prefix
+  const prefixEnd = match.index + (match[0].startsWith('>') ? 1 : 0) + prefix.length;
+  const rawPosition = rawOffsets[prefixEnd - 1];
+
+  return `${rawValue.slice(0, rawPosition)}(${prefixId})${rawValue.slice(rawPosition)}`;
+};
+
+/**
+ * Give IDs to all prefixed nodes of the configured types (e.g. "A:" or "Q:") that don't have one,
+ * by writing the ID into the cell value, e.g. "A: ..." becomes "A(123): ...".
+ *
+ * New IDs are numbers that follow the highest numeric ID of the same prefix
+ * across all pages, so they don't clash with existing IDs.
+ *
+ * The documents of the pages are modified in place.
+ *
+ * @param {Object} input
+ * @param {{ label: string, document: Document }[]} input.pages
+ * @param {import('./drawioConfig').Config} [input.config]
+ * @returns {{ ref: string, nodeId: string, page: string }[]} Nodes that were given an ID
+ */
+const assignMissingIds = ({ pages, config = loadConfig() }) => {
+  const assigned = [];
+
+  config.nodeTypes.forEach(({ prefix }) => {
+    const prefixedNodes = pages.flatMap((page) => (
+      findPrefixedNodes({ document: page.document, prefix, allowDuplicates: true })
+        .map((prefixedNode) => ({ page, prefixedNode }))
+    ));
+
+    const existingIds = prefixedNodes
+      .filter(({ prefixedNode }) => !prefixedNode.isAutoId)
+      .map(({ prefixedNode }) => String(prefixedNode.prefixId));
+    const maxNumericId = Math.max(0, ...existingIds.filter((id) => /^\d+$/.test(id)).map(Number));
+
+    const genNextId = createIdGen({
+      idCache: new Set(existingIds),
+      idGenFn: (n) => String(maxNumericId + n),
+    });
+
+    prefixedNodes
+      .filter(({ prefixedNode }) => prefixedNode.isAutoId)
+      .forEach(({ page, prefixedNode }) => {
+        const { node } = prefixedNode;
+        const prefixId = genNextId();
+        const newValue = insertPrefixId(getCellValue(node), prefix, prefixId, { html: isHtmlCell(node) });
+        if (newValue == null) return;
+
+        setCellValue(node, newValue);
+        assigned.push({ ref: `${prefix}(${prefixId})`, nodeId: node.id, page: page.label });
+      });
+  });
+
+  return assigned;
+};
+
+/**
+ * @typedef {Object} ApplyResult
+ * @property {{ ref: string, nodeId: string, page: string }[]} updated - Cells whose value changed
+ * @property {{ rowNumber: number, ref: string }[]} unmatchedRows - Rows that refer to non-existent nodes
+ * @property {{ ref: string, reason: string, nodeIds: string[] }[]} ambiguousIds - IDs that don't identify a single node
+ * @property {{ ref: string, values: string[] }[]} conflicts - Nodes that were given different values in different rows
+ */
+
+/**
+ * Write edits of the primary nodes and their sub-items (e.g. assumptions
+ * and sub-questions), made in the rows of a CSV export, back into the cells
+ * of the diagram.
+ *
+ * Rows are matched to cells by the ID columns, e.g. `assumptionId` and `questionId`
+ * (and `page`, if the rows have it). Sub-items are identified by the index at the end
+ * of their reference, e.g. "A(88):Q(34):2" in `subquestionId`.
+ *
+ * The documents of the pages are modified in place.
+ *
+ * @param {Object} input
+ * @param {{ label: string, document: Document }[]} input.pages
+ * @param {Object<string, string>[]} input.rows - CSV rows, keyed by column name
+ * @param {import('./drawioConfig').Config} [input.config]
+ * @param {(row: Object<string, string>) => boolean} [input.includeRow] - Rows for which it returns false
+ *   are skipped, e.g. the rows of other files in a CSV exported from several files
+ * @returns {ApplyResult}
+ */
+const applyRowEdits = ({ pages, rows, config = loadConfig(), includeRow = () => true }) => {
+  const { primaryType, itemTypes } = config;
+
+  const nodesByRef = {};
+  pages.forEach((page) => [primaryType, ...itemTypes].forEach(({ prefix, multiline }) => {
+    findPrefixedNodes({
+      document: page.document,
+      prefix,
+      allowDuplicates: true,
+      preserveLineBreaks: multiline,
+    }).forEach((prefixedNode) => {
+      const ref = `${prefix}(${prefixedNode.prefixId})`;
+      nodesByRef[ref] = nodesByRef[ref] || [];
+      nodesByRef[ref].push({ page, prefixedNode });
+    });
+  }));
+
+  const result = {
+    updated: [],
+    unmatchedRows: [],
+    ambiguousIds: [],
+    conflicts: [],
+  };
+
+  const ambiguousRefs = new Set();
+  const resolveNode = ({ prefix, prefixId, pageLabel, rowNumber }) => {
+    const ref = `${prefix}(${prefixId})`;
+    const candidates = (nodesByRef[ref] || []).filter(({ page }) => !pageLabel || page.label === pageLabel);
+
+    if (!candidates.length) {
+      result.unmatchedRows.push({ rowNumber, ref });
+      return null;
+    }
+
+    const reason = candidates.length > 1 ? `${candidates.length} nodes share this ID` :
+      candidates[0].prefixedNode.isAutoId ? 'ID is auto-generated, and may point to a different node' :
+      null;
+
+    if (reason) {
+      if (!ambiguousRefs.has(ref)) {
+        ambiguousRefs.add(ref);
+        result.ambiguousIds.push({ ref, reason, nodeIds: candidates.map(({ prefixedNode }) => prefixedNode.nodeId) });
+      }
+      return null;
+    }
+
+    return candidates[0];
+  };
+
+  // Collect new values for each node first, so we can detect conflicting edits
+  const edits = new Map();
+  const getEdit = (target) => {
+    if (!edits.has(target.prefixedNode.node)) {
+      edits.set(target.prefixedNode.node, { target, value: new Set(), items: {} });
+    }
+    return edits.get(target.prefixedNode.node);
+  };
+
+  rows.forEach((row, rowIndex) => {
+    // +2 because rows are 1-based, and the first row is the header
+    const rowNumber = rowIndex + 2;
+    if (!includeRow(row)) return;
+
+    const pageLabel = row.page || null;
+    const primaryId = row[`${primaryType.name}Id`];
+    if (!primaryId) return;
+
+    const primaryValue = row[primaryType.name];
+    const primary = resolveNode({ prefix: primaryType.prefix, prefixId: primaryId, pageLabel, rowNumber });
+    if (primary && primaryValue != null && primaryValue !== primary.prefixedNode.value) {
+      getEdit(primary).value.add(primaryValue);
+    }
+
+    itemTypes.forEach((itemType) => {
+      const itemNodeId = row[`${itemType.name}Id`];
+      if (!itemNodeId) return;
+
+      const itemValue = row[itemType.name];
+      const itemNode = resolveNode({ prefix: itemType.prefix, prefixId: itemNodeId, pageLabel, rowNumber });
+      const [, itemNumber] = (row[`sub${itemType.name}Id`] || '').match(/:(\d+)$/) || [];
+      if (!itemNode || !itemNumber || itemValue == null) return;
+
+      const index = Number(itemNumber) - 1;
+      const currItem = extractSubItems(itemNode.prefixedNode.rawValue, { html: isHtmlCell(itemNode.prefixedNode.node) })[index];
+      if (currItem && itemValue !== currItem.text) {
+        const itemEdit = getEdit(itemNode).items;
+        itemEdit[index] = itemEdit[index] || new Set();
+        itemEdit[index].add(itemValue);
+      }
+    });
+  });
+
+  edits.forEach(({ target, value, items }) => {
+    const { page, prefixedNode } = target;
+    const { node, prefix, prefixId } = prefixedNode;
+    const ref = `${prefix}(${prefixId})`;
+    const html = isHtmlCell(node);
+
+    let rawValue = getCellValue(node);
+
+    if (value.size > 1) {
+      result.conflicts.push({ ref, values: [...value] });
+    } else if (value.size === 1) {
+      rawValue = replacePrefixedText(rawValue, prefix, [...value][0], { html }) || rawValue;
+    }
+
+    const itemEdits = Object.entries(items).map(([index, values]) => [Number(index), values]);
+    itemEdits
+      .filter(([, values]) => values.size > 1)
+      .forEach(([index, values]) => result.conflicts.push({ ref: `${ref}:${index + 1}`, values: [...values] }));
+
+    // From the last sub-item, so emptied sub-items don't shift the indices of the rest
+    itemEdits
+      .filter(([, values]) => values.size === 1)
+      .reverse()
+      .forEach(([index, values]) => {
+        rawValue = replaceSubItem(rawValue, index, [...values][0], { html }) || rawValue;
+      });
+
+    if (rawValue === getCellValue(node)) return;
+
+    setCellValue(node, rawValue);
+    result.updated.push({ ref, nodeId: node.id, page: page.label });
+  });
+
+  return result;
+};
+
+module.exports = {
+  applyRowEdits,
+  assignMissingIds,
+  insertPrefixId,
+  replacePrefixedText,
+  replaceSubItem,
+};
@@ -7,27 +7,64 @@ const pako = require('pako'); // 2.0.4
 const jsdom = require('jsdom');
 
 /**
- * Decode text content of <diagram> elements from base64.
+ * @typedef {Object} DrawioPage
+ * @property {number} index - Position of the page (<diagram> element) in the file
+ * @property {string|null} id - The "id" attribute of the <diagram> element
+ * @property {string|null} name - The "name" attribute of the <diagram> element
+ * @property {string} data - Decoded content of the page (<mxGraphModel> XML)
+ * @property {boolean} [compressed] - Whether the page was stored deflated and base64-encoded in the file
+ */
+
+/**
+ * Decode the content of <diagram> elements into <mxGraphModel> XML.
+ *
+ * Returns one entry per <diagram> element (page) of the .drawio file,
+ * or null if any of the pages failed to decode.
+ *
+ * Following forms of the input are supported, and all are normalized
+ * to the same <mxGraphModel> XML:
+ * - `<mxfile>` whose <diagram> elements contain base64-encoded, deflated text
+ *   (older versions of Drawio)
+ * - `<mxfile>` whose <diagram> elements contain plain <mxGraphModel> elements
+ *   (newer versions of Drawio)
+ * - Bare `<mxGraphModel>` (e.g. the output of the "decode" command)
+ * - `.drawio.svg` and `.drawio.png` images, that embed the `<mxfile>` (see `extractEmbeddedMxfile`)
  * 
  * This is a NodeJS version of the decoder function from
  * https://github.com/jgraph/drawio-tools/blob/d8e3e585e3d71e867650834396afef659ced6264/tools/convert.html
+ *
+ * @param {string|Uint8Array} input - Content of the file. Images must be given as bytes (e.g. Buffer)
+ * @returns {DrawioPage[]|null}
  */
-function decodeDrawio(data, options) {
+function decodeDrawio(input, options) {
   const {
-    base64 = true,
-      deflate = true,
-      urlEncode = true,
-      logger = console,
+    logger = console,
   } = options || {};
 
+  const data = extractEmbeddedMxfile(input, options);
+  if (data == null) return null;
+
+  let pages = [{ index: 0, id: null, name: null, data, compressed: true }];
+
   try {
     const node = parseXml(data).documentElement;
 
-    if (node && node.nodeName == 'mxfile') {
-      const diagrams = node.getElementsByTagName('diagram');
+    if (node && node.nodeName == 'mxGraphModel') {
+      pages = [{ index: 0, id: null, name: null, data, compressed: false }];
+    } else if (node && node.nodeName == 'mxfile') {
+      const diagrams = [...node.getElementsByTagName('diagram')];
 
       if (diagrams.length > 0) {
-        data = getTextContent(diagrams[0]);
+        pages = diagrams.map((diagram, index) => {
+          const graphModel = diagram.getElementsByTagName('mxGraphModel')[0];
+          return {
+            index,
+            id: diagram.getAttribute('id'),
+            name: diagram.getAttribute('name'),
+            data: graphModel ? serializeXml(graphModel) : getTextContent(diagram),
+            compressed: !graphModel,
+          };
+        });
       }
     }
   } catch (e) {
@@ -35,6 +72,133 @@ function decodeDrawio(data, options) {
     return null;
   }
 
+  const decodedPages = [];
+  for (const { compressed, ...page } of pages) {
+    const decodedData = compressed ? decodeDiagramData(page.data, options) : page.data;
+    if (decodedData == null) return null;
+
+    decodedPages.push({ ...page, data: decodedData, compressed });
+  }
+
+  return decodedPages;
+};
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+/**
+ * Get the content of a .drawio file, given as text or bytes. Images that Drawio
+ * saves as editable (`.drawio.svg`, `.drawio.png`) have the `<mxfile>` embedded:
+ * - SVG in the `content` attribute of the root <svg> element
+ * - PNG in a text chunk (tEXt, zTXt or iTXt) with keyword "mxfile"
+ *
+ * Other content is returned as text. Returns null if an image has no diagram.
+ *
+ * @param {string|Uint8Array} data
+ * @returns {string|null}
+ */
+function extractEmbeddedMxfile(data, options) {
+  const {
+    logger = console,
+  } = options || {};
+
+  if (typeof data !== 'string') {
+    const bytes = Uint8Array.from(data);
+    if (PNG_SIGNATURE.every((byte, index) => bytes[index] === byte)) {
+      let content;
+      try {
+        content = extractMxfileFromPng(bytes);
+      } catch (e) {
+        logger.error('Failed to read diagram from PNG image: ' + e);
+        return null;
+      }
+      if (content == null) logger.error('PNG image has no embedded diagram. Export it from Drawio with "Include a copy of my diagram"');
+      return content;
+    }
+    data = new TextDecoder().decode(bytes);
+  } else if (data.startsWith('\ufffdPNG')) {
+    logger.error('PNG image was read as text, and can\'t be decoded. Read it as binary (Buffer) instead');
+    return null;
+  }
+
+  if (!/^\s*(?:<\?xml[^>]*>\s*)?(?:<!--[\s\S]*?-->\s*|<!DOCTYPE[^>]*>\s*)*<svg[\s>]/.test(data)) return data;
+
+  try {
+    const content = parseXml(data).documentElement.getAttribute('content');
+    if (!content) {
+      logger.error('SVG image has no embedded diagram. Export it from Drawio with "Include a copy of my diagram"');
+      return null;
+    }
+
+    // Older versions of Drawio base64-encoded the content
+    return decodeEmbeddedText(content.charAt(0) === '<' || content.charAt(0) === '%' ? content : globalThis.atob(content));
+  } catch (e) {
+    logger.error('Failed to read diagram from SVG image: ' + e);
+    return null;
+  }
+};
+
+/**
+ * Find the text chunk with keyword "mxfile" in the bytes of a PNG image,
+ * and return its text.
+ *
+ * @param {Uint8Array} bytes
+ * @returns {string|null}
+ */
+function extractMxfileFromPng(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decodeLatin1 = (chunkBytes) => bytesToBinaryString(chunkBytes);
+
+  // Each chunk has length (4 bytes), type (4 bytes), data, and CRC (4 bytes)
+  let offset = PNG_SIGNATURE.length;
+  while (offset + 8 <= bytes.length) {
+    const length = view.getUint32(offset);
+    const type = decodeLatin1(bytes.subarray(offset + 4, offset + 8));
+    const chunk = bytes.subarray(offset + 8, offset + 8 + length);
+    offset += length + 12;
+
+    if (type === 'IEND') break;
+    if (!['tEXt', 'zTXt', 'iTXt'].includes(type)) continue;
+
+    const keywordEnd = chunk.indexOf(0);
+    if (keywordEnd === -1 || decodeLatin1(chunk.subarray(0, keywordEnd)) !== 'mxfile') continue;
+
+    if (type === 'tEXt') {
+      return decodeEmbeddedText(decodeLatin1(chunk.subarray(keywordEnd + 1)));
+    }
+    if (type === 'zTXt') {
+      // Keyword is followed by the compression method, which is always zlib
+      return decodeEmbeddedText(decodeLatin1(pako.inflate(chunk.subarray(keywordEnd + 2))));
+    }
+
+    // iTXt has compression flag and method, language and translated keyword before UTF-8 text
+    const isCompressed = chunk[keywordEnd + 1] === 1;
+    const languageEnd = chunk.indexOf(0, keywordEnd + 3);
+    const textStart = chunk.indexOf(0, languageEnd + 1) + 1;
+    const textBytes = chunk.subarray(textStart);
+    return decodeEmbeddedText(new TextDecoder().decode(isCompressed ? pako.inflate(textBytes) : textBytes));
+  }
+
+  return null;
+};
+
+/**
+ * Drawio URL-encodes the `<mxfile>` embedded in images.
+ */
+function decodeEmbeddedText(text) {
+  return text.charAt(0) === '%' ? decodeURIComponent(text) : text;
+};
+
+/**
+ * Decode text content of a single <diagram> element from base64.
+ */
+function decodeDiagramData(data, options) {
+  const {
+    base64 = true,
+      deflate = true,
+      urlEncode = true,
+      logger = console,
+  } = options || {};
+
   if (base64) {
     try {
       data = globalThis.atob(data);
@@ -92,7 +256,7 @@ function encodeDrawio(data, options) {
 
   if (deflate && data.length > 0) {
     try {
-      data = String.fromCharCode.apply(null, new Uint8Array(pako.deflateRaw(data)));
+      data = bytesToBinaryString(pako.deflateRaw(data));
     } catch (e) {
       logger.error('deflateRaw failed: ' + e);
       return null;
@@ -111,6 +275,74 @@ function encodeDrawio(data, options) {
   return data;
 };
 
+/**
+ * Wrap the <mxGraphModel> XML of the pages in a <mxfile> envelope,
+ * with one <diagram> element per page, so that it can be opened in Drawio.
+ *
+ * Pages without ID or name are given defaults based on their position.
+ *
+ * @param {DrawioPage[]} pages
+ * @param {Object} [options]
+ * @param {boolean} [options.compressed=true] - If true, the content of <diagram>
+ *   elements is deflated and base64-encoded. Otherwise it is the plain <mxGraphModel>.
+ * @returns {string|null}
+ */
+function formatMxfile(pages, options) {
+  const {
+    compressed = true,
+  } = options || {};
+
+  const diagrams = [];
+  for (const [index, page] of pages.entries()) {
+    const id = page.id != null ? page.id : `page-${index + 1}`;
+    const name = page.name != null ? page.name : `Page-${index + 1}`;
+    const content = compressed ? encodeDrawio(page.data, options) : page.data;
+    if (content == null) return null;
+
+    diagrams.push(`<diagram id="${escapeXmlAttr(id)}" name="${escapeXmlAttr(name)}">${content}</diagram>`);
+  }
+
+  return `<mxfile>${diagrams.join('')}</mxfile>`;
+};
+
+/**
+ * Serialize decoded pages into a single XML string.
+ *
+ * A single page is returned as is (bare <mxGraphModel>). Multiple pages
+ * are wrapped in an <mxfile> with uncompressed <diagram> elements, so that
+ * the page names and IDs are preserved.
+ *
+ * @param {DrawioPage[]} pages
+ */
+function formatDecodedPages(pages) {
+  if (pages.length === 1) return pages[0].data;
+
+  return formatMxfile(pages, { compressed: false });
+};
+
+/**
+ * Convert bytes to a "binary" string (one char per byte), as expected by `btoa`.
+ *
+ * Done in chunks, because passing all bytes to `String.fromCharCode` at once
+ * exceeds the max call stack size for large diagrams.
+ */
+function bytesToBinaryString(bytes) {
+  const chunkSize = 0x8000;
+  let result = '';
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    result += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+  }
+  return result;
+};
+
+function escapeXmlAttr(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
 function parseXml(xml) {
   // Browser
   if (globalThis && globalThis.DOMParser) {
@@ -134,6 +366,16 @@ function parseXml(xml) {
   }
 };
 
+function serializeXml(node) {
+  // Browser
+  if (globalThis && globalThis.XMLSerializer) {
+    return new XMLSerializer().serializeToString(node);
+  }
+  // Node (JSDOM documents have their own window)
+  const view = node.ownerDocument && node.ownerDocument.defaultView;
+  return new view.XMLSerializer().serializeToString(node);
+};
+
 function createXmlDocument() {
   var doc = null;
 
@@ -154,5 +396,9 @@ function getTextContent(node) {
 
 module.exports = {
   decodeDrawio,
+  extractEmbeddedMxfile,
   encodeDrawio,
+  formatMxfile,
+  formatDecodedPages,
+  serializeXml,
 };
\ No newline at end of file
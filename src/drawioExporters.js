@@ -1,61 +1,211 @@
 //
 // Exporters of processed data from the XML content of a <diagram> element in a .drawio file
 //
+// Exporters return the content of the export file (string or Buffer), and leave saving it to the caller
+//
 
-const fsp = require('fs').promises;
+const ExcelJS = require('exceljs');
 const Papa = require('papaparse');
+const path = require('path');
+
+const { loadConfig } = require('./drawioConfig');
+const { getNodeKey, getNodesOfType } = require('./drawioParsers');
+const { createTextFormatter } = require('./drawioRichText');
+
+const plainText = createTextFormatter('plain');
+
+/**
+ * Get a human-readable label of a page. Falls back to the default name
+ * that Drawio gives to pages.
+ */
+const getPageLabel = (page) => page.name || `Page-${page.index + 1}`;
+
+/**
+ * Get the node types that nodes of given type are connected to, in either direction.
+ *
+ * @param {import('./drawioConfig').Config} config
+ * @param {import('./drawioConfig').NodeTypeConfig} nodeType
+ */
+const getLinkedTypes = (config, nodeType) => config.nodeTypes.filter((otherType) => (
+  nodeType.linksTo.includes(otherType.name) || otherType.linksTo.includes(nodeType.name)
+));
+
+/**
+ * Get the nodes that an annotation (e.g. note) is linked to, of any type,
+ * in the order of its edges.
+ */
+const getAnnotationTargets = (node, linkedTypes) => {
+  const targets = linkedTypes.flatMap((linkedType) => node[linkedType.key] || []);
+  const getEdgeIndex = (target) => {
+    const index = node.targetIds.indexOf(target.nodeId);
+    return index === -1 ? node.targetIds.length : index;
+  };
+  return [...targets].sort((a, b) => getEdgeIndex(a) - getEdgeIndex(b));
+};
+
+/**
+ * Format annotations (e.g. notes) as lines of "N(12): Text of the note".
+ */
+const formatAnnotations = (nodes, text = plainText) => (nodes || [])
+  .map((node) => `${getNodeKey(node)}: ${text.nodeValue(node)}`)
+  .join('\n');
+
+/**
+ * Format dependencies as "A(89), A(90) (label of the edge)".
+ *
+ * @param {Object[]} links - Links created by the dependencies transformer
+ * @param {'source'|'target'} end - Which end of the links to list
+ */
+const formatLinks = (links, end) => (links || []).map((link) => {
+  const key = getNodeKey(link[end]);
+  return link.label ? `${key} (${link.label})` : key;
+}).join(', ');
 
-const doFormatCsv = (data) => {
-  const {
-    containers,
-    assumptions,
-  } = data || {};
-
-  const maxContainerDepth = Math.max(...containers.result.all.map((container) => {
-    let depth = 0;
-    let currContainer = container;
-    while (currContainer.parent) {
-      depth++;
-      currContainer = currContainer.parent;
+const getContainerDepth = (container) => {
+  let depth = 0;
+  let currContainer = container;
+  while (currContainer.parent) {
+    depth++;
+    currContainer = currContainer.parent;
+  }
+  return depth;
+};
+
+/**
+ * Get values of the container and all its ancestors, starting from the top-most one.
+ */
+const getContainerPath = (container, text = plainText) => {
+  const containers = [];
+  let currContainer = container;
+  while (currContainer) {
+    if (currContainer.nodeId) {
+      containers.unshift(text.containerValue(currContainer));
     }
-    return depth;
-  }));
+    currContainer = currContainer.parent;
+  }
+  return containers;
+};
+
+/**
+ * Reference to a sub-item, e.g. "A(88):Q(34):1", or "onboarding:A(88):Q(34):1" with namespace
+ */
+const getSubItemRef = (node, itemNode, index) => (
+  `${getNodeKey(node)}:${itemNode.prefix}(${itemNode.prefixId}):${index + 1}`
+);
+
+/**
+ * Sub-items of a node as a list, one per line, indented by their depth, e.g.
+ * "- First question?\n  - Follow-up?"
+ */
+const formatSubItems = (node, text = plainText) => node.items
+  .map((_, index) => `${'  '.repeat(node.itemDepths[index])}- ${text.subItem(node, index)}`)
+  .join('\n');
+
+/**
+ * Arrange sub-items (in shape `{ depth, ... }`) into a tree, where each sub-item
+ * has the deeper sub-items that follow it under `items`.
+ */
+const nestSubItems = (subItems) => {
+  const roots = [];
+  const stack = [];
+
+  subItems.forEach(({ depth, ...subItem }) => {
+    const entry = { ...subItem, items: [] };
+    while (stack.length && stack[stack.length - 1].depth >= depth) stack.pop();
+    (stack.length ? stack[stack.length - 1].entry.items : roots).push(entry);
+    stack.push({ depth, entry });
+  });
+
+  return roots;
+};
+
+/**
+ * Get the formatter of the values for the exporters, see drawioRichText.js.
+ * Rich text is exported as Markdown, unless given other format.
+ */
+const getTextFormatter = (richText, richFormat = 'markdown') => createTextFormatter(richText ? richFormat : 'plain');
+
+/**
+ * Columns of the custom properties of a node type that are exported, e.g. "assumption_owner".
+ */
+const getPropertyHeaders = (nodeType) => nodeType.properties.map((property) => `${nodeType.name}_${property}`);
+
+/**
+ * Values of the exported custom properties of a node, in the order of `getPropertyHeaders`.
+ * Tags are listed as "tags" property, separated by commas.
+ */
+const getPropertyValues = (node, nodeType, text = plainText) => nodeType.properties.map((property) => {
+  if (!node) return null;
+  const value = property === 'tags'
+    ? (node.tags || []).join(', ')
+    : (node.properties || {})[property];
+  return value != null ? text.fromPlainText(value) : null;
+});
+
+/**
+ * Flatten the parsed pages into rows, one row per node of the primary type
+ * (e.g. assumption), and one row per each sub-item of the nodes connected
+ * to it (e.g. sub-questions of questions).
+ *
+ * When pages of several files are exported together (see `namespacePages` in drawioProcessor.js),
+ * each row starts with the `source_file` of its page. The ID columns keep the plain IDs, e.g. "88", so the CSV
+ * can be read back (e.g. by the "apply" and "generate" commands), and only the references carry the namespace.
+ *
+ * @param {Object[]} pages - Parsed pages, each in shape `{ index, id, name, data }`
+ * @param {import('./drawioConfig').Config} config
+ * @param {Object} [options]
+ * @param {Object} [options.text] - Formatter of the values, see `createTextFormatter`
+ */
+const doFormatCsv = (pages, config, { text = plainText } = {}) => {
+  const { primaryType, itemTypes, annotationTypes } = config;
+
+  const maxContainerDepth = Math.max(0, ...pages.flatMap(({ data }) => (
+    data.containers.result.all.map(getContainerDepth)
+  )));
+
+  // Pages of several files exported together are told apart by their file
+  const hasSourceFiles = pages.some((page) => page.sourceFile);
 
   const csvHeaders = [
-    'assumptionId',
-    'questionId',
-    'subquestionId',
-    'assumption',
-    'question',
+    ...(hasSourceFiles ? ['source_file'] : []),
+    'page',
+    `${primaryType.name}Id`,
+    ...itemTypes.flatMap((itemType) => [`${itemType.name}Id`, `sub${itemType.name}Id`]),
+    primaryType.name,
+    ...itemTypes.map((itemType) => itemType.name),
+    ...[primaryType, ...itemTypes].flatMap(getPropertyHeaders),
+    ...annotationTypes.map((annotationType) => annotationType.key),
+    ...(primaryType.dependencies ? ['dependsOn', 'supports'] : []),
     'container',
     ...Array(maxContainerDepth).fill(null).map((_, i) => `container_depth${i + 1}`),
   ];
 
-  const csvData = assumptions.result.flatMap((a) => {
-    const containers = [];
-    let currContainer = a.container;
-    while (currContainer) {
-      if (currContainer.nodeId) {
-        containers.unshift(currContainer.value);
-      }
-      currContainer = currContainer.parent;
-    }
+  const csvData = pages.flatMap((page) => getNodesOfType(page.data, primaryType).flatMap((a) => {
+    const containers = getContainerPath(a.container, text);
     while (containers.length < maxContainerDepth) {
       containers.push('');
     }
 
     const containerKey = containers.filter(Boolean).join(' / ');
 
-    const createRow = (q, index) => {
-      if (q && q.prefixId === 'auto_1') {
-        console.log({ q, a });
-      }
+    const createRow = (itemType, q, index) => {
       return [
+        ...(hasSourceFiles ? [page.sourceFile || null] : []),
+        getPageLabel(page),
         a.prefixId,
-        q ? q.prefixId : null,
-        index != null ? `${a.prefix}(${a.prefixId}):${q.prefix}(${q.prefixId}):${index + 1}` : null,
-        a.value,
-        q ? q.questions[index] : null,
+        ...itemTypes.flatMap((t) => (t === itemType ? [
+          q.prefixId,
+          getSubItemRef(a, q, index),
+        ] : [null, null])),
+        text.nodeValue(a),
+        ...itemTypes.map((t) => (t === itemType ? text.subItem(q, index) : null)),
+        ...getPropertyValues(a, primaryType, text),
+        ...itemTypes.flatMap((t) => getPropertyValues(t === itemType ? q : null, t, text)),
+        ...annotationTypes.map((annotationType) => formatAnnotations((q || a)[annotationType.key], text)),
+        ...(primaryType.dependencies ? [
+          formatLinks(a.dependsOn, 'source'),
+          formatLinks(a.supports, 'target'),
+        ] : []),
         containerKey,
         ...containers,
       ]
@@ -63,44 +213,649 @@ const doFormatCsv = (data) => {
 
     return [
       createRow(),
-      ...a.questions.flatMap((q) => q.questions.map((_, i) => createRow(q, i))),
+      ...itemTypes.flatMap((itemType) => (a[itemType.key] || []).flatMap((q) => (
+        q.items.map((_, i) => createRow(itemType, q, i))
+      ))),
     ];
-  });
+  }));
 
   csvData.unshift(csvHeaders);
   return csvData;
 };
 
-const exporterCsv = async (data, args) => {
-  const [exportFile] = args;
+const exporterCsv = async (pages, { config = loadConfig(), richText = false } = {}) => {
+  const csvData = doFormatCsv(pages, config, { text: getTextFormatter(richText) });
+  return Papa.unparse(csvData);
+};
 
-  if (!exportFile) {
-    logger.error(`Error: "csv" export is missing the export file.`)
-    return;
-  }
+/**
+ * Convert the parsed pages into a normalized graph that can be serialized
+ * to JSON. Back-references (e.g. `parent`, `container`) are replaced with IDs.
+ *
+ * Shape of each page (with the default config):
+ * {
+ *   index, id, name,
+ *   nodes: {
+ *     "A(88)": { type, prefix, prefixId, nodeId, value, properties, tags, containerId, questionKeys, noteKeys, dependsOnKeys, supportsKeys },
+ *     "Q(34)": { ..., questions, itemDepths, assumptionKeys, noteKeys },
+ *     "N(12)": { ..., targetKeys, containerIds },
+ *   },
+ *   edges: [{ type: "question" | "note" | "dependency", source: "Q(34)", target: "A(88)", sourceNodeId, targetNodeId, label }],
+ *   containers: { [containerNodeId]: { nodeId, value, parentId, childIds, nodeKeys, questionKeys, noteKeys } },
+ *   rootContainerIds: [containerNodeId],
+ *   dependencies: { rootKeys: ["A(89)"], cycles: [["A(1)", "A(2)"]] },
+ * }
+ *
+ * Keys of the linked nodes are listed by their type, e.g. `questionKeys`, except for annotation types
+ * (e.g. notes), that list all of them under `targetKeys`. Sub-items are listed under the key of the type,
+ * e.g. `questions`, and the nodes of the primary type in a container under `nodeKeys`.
+ *
+ * Pages of several files exported together also have the `sourceFile` and `namespace`,
+ * and the node keys are prefixed by the namespace, e.g. "onboarding:A(88)".
+ *
+ * Edges of type "question" or "note" are named by the type of their source node.
+ *
+ * @param {Object[]} pages - Parsed pages, each in shape `{ index, id, name, data }`
+ * @param {import('./drawioConfig').Config} config
+ * @param {Object} [options]
+ * @param {Object} [options.text] - Formatter of the values, see `createTextFormatter`
+ */
+const doFormatJson = (pages, config, { text = plainText } = {}) => {
+  const formatPage = (page) => {
+    const { containers, dependencies } = page.data;
 
-  const csvData = doFormatCsv(data);
-  const csvString = Papa.unparse(csvData);
+    const nodes = {};
+    config.nodeTypes.forEach((nodeType) => {
+      const linkedTypes = getLinkedTypes(config, nodeType);
+      const isAnnotationType = config.annotationTypes.includes(nodeType);
 
-  await fsp.writeFile(exportFile, csvString, 'utf-8');
+      getNodesOfType(page.data, nodeType).forEach((node) => {
+        nodes[getNodeKey(node)] = {
+          type: nodeType.name,
+          prefix: node.prefix,
+          prefixId: node.prefixId,
+          nodeId: node.nodeId,
+          value: text.nodeValue(node),
+          properties: node.properties || {},
+          tags: node.tags || [],
+          containerId: node.container ? node.container.nodeId : null,
+          ...(nodeType.subItems ? {
+            [nodeType.key]: node.items.map((_, index) => text.subItem(node, index)),
+            itemDepths: node.itemDepths,
+          } : {}),
+          ...(isAnnotationType ? {
+            targetKeys: getAnnotationTargets(node, linkedTypes).map(getNodeKey),
+          } : linkedTypes.reduce((agg, linkedType) => {
+            agg[`${linkedType.name}Keys`] = (node[linkedType.key] || []).map(getNodeKey);
+            return agg;
+          }, {})),
+          ...(nodeType.linksTo.includes('container') ? {
+            containerIds: (node.containers || []).map((container) => container.nodeId),
+          } : {}),
+          ...(nodeType.dependencies ? {
+            dependsOnKeys: (node.dependsOn || []).map((link) => getNodeKey(link.source)),
+            supportsKeys: (node.supports || []).map((link) => getNodeKey(link.target)),
+          } : {}),
+        };
+      });
+    });
+
+    const dependencyResult = (dependencies && dependencies.result) || { links: [], roots: [], cycles: [] };
+
+    // Nodes of two types that link to each other would have each edge twice
+    const seenEdges = new Set();
+    const linkEdges = config.nodeTypes.flatMap((nodeType) => nodeType.linksTo
+      .filter((linkedName) => linkedName !== 'container')
+      .flatMap((linkedName) => {
+        const linkedType = config.nodeTypes.find((t) => t.name === linkedName);
+        return getNodesOfType(page.data, nodeType).flatMap((node) => (node[linkedType.key] || [])
+          .filter((linkedNode) => {
+            const edgeKey = [node.nodeId, linkedNode.nodeId].sort().join('\0');
+            if (seenEdges.has(edgeKey)) return false;
+            seenEdges.add(edgeKey);
+            return true;
+          })
+          .map((linkedNode) => ({
+            type: nodeType.name,
+            source: getNodeKey(node),
+            target: getNodeKey(linkedNode),
+            sourceNodeId: node.nodeId,
+            targetNodeId: linkedNode.nodeId,
+            label: null,
+          })));
+      }));
+
+    const edges = [
+      ...linkEdges,
+      ...dependencyResult.links.map((link) => ({
+        type: 'dependency',
+        source: getNodeKey(link.source),
+        target: getNodeKey(link.target),
+        sourceNodeId: link.source.nodeId,
+        targetNodeId: link.target.nodeId,
+        label: link.label || null,
+      })),
+    ];
+
+    // Containers that were referenced as parents, but are not containers themselves,
+    // have no nodeId, and are left out
+    const formattedContainers = {};
+    containers.result.all.filter((c) => c.nodeId).forEach((c) => {
+      formattedContainers[c.nodeId] = {
+        nodeId: c.nodeId,
+        value: text.containerValue(c),
+        parentId: c.parent && c.parent.nodeId ? c.parent.nodeId : null,
+        childIds: c.children.map((child) => child.nodeId),
+        ...config.nodeTypes.reduce((agg, nodeType) => {
+          agg[nodeType === config.primaryType ? 'nodeKeys' : `${nodeType.name}Keys`] = (c[nodeType.key] || []).map(getNodeKey);
+          return agg;
+        }, {}),
+      };
+    });
+
+    return {
+      ...(page.sourceFile ? { sourceFile: page.sourceFile, namespace: page.namespace } : {}),
+      index: page.index,
+      id: page.id,
+      name: page.name,
+      nodes,
+      edges,
+      containers: formattedContainers,
+      rootContainerIds: Object.values(formattedContainers)
+        .filter((c) => !c.parentId)
+        .map((c) => c.nodeId),
+      dependencies: {
+        rootKeys: dependencyResult.roots.map(getNodeKey),
+        cycles: dependencyResult.cycles.map((cycle) => cycle.map(getNodeKey)),
+      },
+    };
+  };
+
+  return { pages: pages.map(formatPage) };
+};
+
+const exporterJson = async (pages, { config = loadConfig(), richText = false } = {}) => {
+  const jsonData = doFormatJson(pages, config, { text: getTextFormatter(richText) });
+
+  return JSON.stringify(jsonData, null, 2);
+};
+
+/**
+ * @typedef {Object} GuideSection
+ * @property {string} title
+ * @property {number} level - Heading level, starting at 1 for pages
+ * @property {Object[]} annotations - Annotations (e.g. notes) of the container in shape `{ key, value }`
+ * @property {Object[]} nodes - Nodes of the primary type in shape
+ *   `{ key, value, annotations, groups: [{ key, annotations, items: [{ ref, text, items }] }] }`,
+ *   where sub-items have the nested sub-items under `items`
+ * @property {GuideSection[]} sections - Nested sections for child containers
+ */
+
+/**
+ * Arrange the parsed pages into an interview guide - a tree of sections
+ * that follows the container hierarchy, where each section lists
+ * the nodes of the primary type inside the container (e.g. assumptions),
+ * and the sub-items of the nodes connected to them (e.g. questions).
+ *
+ * Titles and values are formatted by the text formatter, e.g. as Markdown.
+ *
+ * @param {Object[]} pages - Parsed pages, each in shape `{ index, id, name, data }`
+ * @param {import('./drawioConfig').Config} config
+ * @param {Object} [options]
+ * @param {Object} [options.text] - Formatter of the values, see `createTextFormatter`
+ * @returns {GuideSection[]} One section per page
+ */
+const doFormatGuide = (pages, config, { text = plainText } = {}) => {
+  const { primaryType, itemTypes, annotationTypes } = config;
+
+  const formatAnnotation = (node) => ({ key: getNodeKey(node), value: text.nodeValue(node) });
+  const getAnnotations = (node) => annotationTypes.flatMap((annotationType) => (
+    (node[annotationType.key] || []).map(formatAnnotation)
+  ));
+  const hasNodeLinks = (node) => config.nodeTypes.some((nodeType) => (node[nodeType.key] || []).length);
+
+  const formatNode = (a) => ({
+    key: getNodeKey(a),
+    value: text.nodeValue(a),
+    annotations: getAnnotations(a),
+    groups: itemTypes.flatMap((itemType) => (a[itemType.key] || []).map((q) => ({
+      key: getNodeKey(q),
+      annotations: getAnnotations(q),
+      items: nestSubItems(q.items.map((_, index) => ({
+        ref: getSubItemRef(a, q, index),
+        text: text.subItem(q, index),
+        depth: q.itemDepths[index],
+      }))),
+    }))),
+  });
+
+  // Annotations connected to nodes are listed under the nodes. Others belong
+  // to the containers they are connected to, or else placed in (see `createTransformConnectContainers`)
+  const getContainerAnnotations = (container) => annotationTypes.flatMap((annotationType) => (
+    (container[annotationType.key] || []).map(formatAnnotation)
+  ));
+
+  const formatContainer = (container, level) => ({
+    title: text.containerValue(container),
+    level,
+    annotations: getContainerAnnotations(container),
+    nodes: (container[primaryType.key] || []).map(formatNode),
+    sections: container.children
+      .filter((child) => child.nodeId)
+      .map((child) => formatContainer(child, level + 1)),
+  });
+
+  return pages.map((page) => {
+    const { containers } = page.data;
+    const pageSection = formatContainer(containers.result.root, 1);
+
+    return {
+      ...pageSection,
+      title: text.fromPlainText(page.sourceFile ? `${page.sourceFile}: ${getPageLabel(page)}` : getPageLabel(page)),
+      // Nodes and annotations outside of any container are listed directly under the page
+      annotations: annotationTypes.flatMap((annotationType) => getNodesOfType(page.data, annotationType))
+        .filter((node) => !node.container && !hasNodeLinks(node) && !(node.containers || []).length)
+        .map(formatAnnotation),
+      nodes: getNodesOfType(page.data, primaryType).filter((a) => !a.container).map(formatNode),
+    };
+  });
 };
 
-const exporterXlsx = async (data, args) => {
-  const [exportFile] = args;
+const renderGuideMarkdown = (sections) => {
+  const lines = [];
 
-  if (!exportFile) {
-    logger.error(`Error: "xlsx" export is missing the export file.`)
-    return;
+  // Continuation lines of multi-line text must be indented to stay in the same block
+  const indentLines = (text, indent) => text.split('\n').join(`\n${indent}`);
+
+  // Nested sub-items are indented past the number of the parent item, e.g. "10. "
+  const renderItems = (items, indent) => items.forEach((item, index) => {
+    lines.push(`${indent}${index + 1}. <a id="${item.ref}"></a>${indentLines(item.text, `${indent}    `)} _(${item.ref})_`);
+    renderItems(item.items, `${indent}    `);
+  });
+
+  const renderSection = (section) => {
+    // Headings can't span multiple lines
+    lines.push(`${'#'.repeat(Math.min(section.level, 6))} ${section.title.replace(/\n/g, ' ')}`, '');
+
+    section.annotations.forEach((note) => {
+      lines.push(`> <a id="${note.key}"></a>**${note.key}:** ${indentLines(note.value, '> ')}`, '');
+    });
+
+    section.nodes.forEach((a) => {
+      lines.push(`- <a id="${a.key}"></a>**${a.key}:** ${indentLines(a.value, '  ')}`);
+      a.annotations.forEach((note) => {
+        lines.push(`  - <a id="${note.key}"></a>_${note.key}:_ ${indentLines(note.value, '    ')}`);
+      });
+      a.groups.forEach((q) => {
+        lines.push(`  - **${q.key}**`);
+        q.annotations.forEach((note) => {
+          lines.push(`    - <a id="${note.key}"></a>_${note.key}:_ ${indentLines(note.value, '      ')}`);
+        });
+        renderItems(q.items, '    ');
+      });
+    });
+    if (section.nodes.length) lines.push('');
+
+    section.sections.forEach(renderSection);
+  };
+
+  sections.forEach(renderSection);
+  return lines.join('\n');
+};
+
+const escapeHtml = (text) => String(text == null ? '' : text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * @param {GuideSection[]} sections
+ * @param {Object} [options]
+ * @param {string} [options.title] - Title of the HTML document
+ * @param {boolean} [options.isHtml] - Whether the titles and values of the sections are already (sanitized) HTML
+ */
+const renderGuideHtml = (sections, { title = 'Interview guide', isHtml = false } = {}) => {
+  const renderValue = (value) => (isHtml ? value : escapeHtml(value).replace(/\n/g, '<br>'));
+  const renderNoteText = (note) => (
+    `<em>${escapeHtml(note.key)}:</em> ${renderValue(note.value)}`
+  );
+  const renderNoteItems = (notes) => notes
+    .map((note) => `<li id="${escapeHtml(note.key)}" class="note">${renderNoteText(note)}</li>`)
+    .join('\n');
+
+  const renderItems = (items) => items.map((item) => {
+    const nestedHtml = item.items.length ? `\n<ol>\n${renderItems(item.items)}\n</ol>` : '';
+    return `<li id="${escapeHtml(item.ref)}">${isHtml ? item.text : escapeHtml(item.text)} <small>(${escapeHtml(item.ref)})</small>${nestedHtml}</li>`;
+  }).join('\n');
+
+  const renderSection = (section) => {
+    const level = Math.min(section.level, 6);
+    const notesHtml = section.annotations
+      .map((note) => `<aside id="${escapeHtml(note.key)}" class="note">${renderNoteText(note)}</aside>`)
+      .join('\n');
+
+    const nodesHtml = section.nodes.map((a) => {
+      const groupsHtml = a.groups.map((q) => {
+        const itemsHtml = renderItems(q.items);
+        const qNotesHtml = q.annotations.length ? `\n<ul>\n${renderNoteItems(q.annotations)}\n</ul>` : '';
+        return `<li><strong>${escapeHtml(q.key)}</strong>${qNotesHtml}\n<ol>\n${itemsHtml}\n</ol></li>`;
+      }).join('\n');
+
+      const subitemsHtml = [renderNoteItems(a.annotations), groupsHtml].filter(Boolean).join('\n');
+
+      return [
+        `<li id="${escapeHtml(a.key)}"><strong>${escapeHtml(a.key)}:</strong> ${isHtml ? a.value : escapeHtml(a.value)}`,
+        subitemsHtml ? `<ul>\n${subitemsHtml}\n</ul>` : '',
+        '</li>',
+      ].filter(Boolean).join('\n');
+    }).join('\n');
+
+    return [
+      '<section>',
+      `<h${level}>${isHtml ? section.title : escapeHtml(section.title)}</h${level}>`,
+      notesHtml,
+      nodesHtml ? `<ul>\n${nodesHtml}\n</ul>` : '',
+      ...section.sections.map(renderSection),
+      '</section>',
+    ].filter(Boolean).join('\n');
+  };
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '<meta charset="utf-8">',
+    `<title>${escapeHtml(title)}</title>`,
+    '</head>',
+    '<body>',
+    ...sections.map(renderSection),
+    '</body>',
+    '</html>',
+  ].join('\n');
+};
+
+const exporterMarkdown = async (pages, { config = loadConfig(), richText = false } = {}) => {
+  // Values are escaped also without rich text, so they are not read as Markdown (or HTML in it)
+  const text = createTextFormatter('markdown', { keepFormatting: richText });
+  return renderGuideMarkdown(doFormatGuide(pages, config, { text }));
+};
+
+const exporterHtml = async (pages, { config = loadConfig(), richText = false } = {}) => {
+  const sections = doFormatGuide(pages, config, { text: getTextFormatter(richText, 'html') });
+  return renderGuideHtml(sections, { isHtml: richText });
+};
+
+/**
+ * Find ranges of consecutive rows that share the same key, so they can be
+ * merged into a single cell. Rows whose key is null are never merged.
+ *
+ * @param {any[][]} rows
+ * @param {(row: any[]) => string | null} getKey
+ * @returns {[number, number][]} Pairs of [firstRowIndex, lastRowIndex]
+ */
+const findMergeRanges = (rows, getKey) => {
+  const ranges = [];
+  let rangeStart = 0;
+
+  rows.forEach((row, index) => {
+    const key = getKey(row);
+    const nextRow = rows[index + 1];
+    if (nextRow && key != null && key === getKey(nextRow)) return;
+
+    if (key != null && index > rangeStart) {
+      ranges.push([rangeStart, index]);
+    }
+    rangeStart = index + 1;
+  });
+
+  return ranges;
+};
+
+/**
+ * Add a worksheet with frozen and styled header row.
+ *
+ * @param {ExcelJS.Workbook} workbook
+ * @param {Object} sheet
+ * @param {string} sheet.name
+ * @param {any[][]} sheet.rows - First row is the header
+ * @param {(header: string) => number} [sheet.getColumnWidth]
+ */
+const addXlsxSheet = (workbook, { name, rows, getColumnWidth = () => 20 }) => {
+  const [headers] = rows;
+  const worksheet = workbook.addWorksheet(name, {
+    views: [{ state: 'frozen', ySplit: 1 }],
+  });
+
+  worksheet.columns = headers.map((header) => ({
+    header,
+    width: getColumnWidth(header),
+    style: { alignment: { vertical: 'top', wrapText: true } },
+  }));
+  worksheet.addRows(rows.slice(1));
+
+  const headerRow = worksheet.getRow(1);
+  headerRow.font = { bold: true };
+  headerRow.alignment = { vertical: 'middle' };
+  headerRow.eachCell((cell) => {
+    cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFD9E1F2' } };
+    cell.border = { bottom: { style: 'thin' } };
+  });
+
+  worksheet.autoFilter = {
+    from: { row: 1, column: 1 },
+    to: { row: 1, column: headers.length },
+  };
+
+  return worksheet;
+};
+
+const getXlsxColumnWidth = (header, config) => {
+  const textHeaders = config.nodeTypes.flatMap((nodeType) => [nodeType.name, nodeType.key]);
+  if ([...textHeaders, 'container', 'value'].includes(header)) return 50;
+  if (header.startsWith('container_depth')) return 25;
+  return 15;
+};
+
+/**
+ * Make a valid name of a worksheet - at most 31 characters, without `\ / ? * : [ ]`,
+ * and different from the names already used in the workbook (case-insensitive).
+ *
+ * @param {string} name
+ * @param {Set<string>} usedNames - Lower-cased names of the existing sheets, the new name is added to it
+ */
+const getXlsxSheetName = (name, usedNames) => {
+  const baseName = name.replace(/[\\/?*:[\]]/g, '_').replace(/^'+|'+$/g, '').slice(0, 31) || 'Sheet';
+
+  let sheetName = baseName;
+  for (let n = 2; usedNames.has(sheetName.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    sheetName = `${baseName.slice(0, 31 - suffix.length)}${suffix}`;
   }
+  usedNames.add(sheetName.toLowerCase());
+  return sheetName;
+};
+
+/**
+ * Create the "Plan" sheet - same rows as the CSV export, but cells with values
+ * repeated for the same primary node, item node (e.g. question) or container
+ * are merged vertically.
+ */
+const addXlsxPlanSheet = (workbook, pages, config, text, { name = 'Plan' } = {}) => {
+  const { primaryType, itemTypes, annotationTypes } = config;
+  const [headers, ...rows] = doFormatCsv(pages, config, { text });
+  const worksheet = addXlsxSheet(workbook, {
+    name,
+    rows: [headers, ...rows],
+    getColumnWidth: (header) => getXlsxColumnWidth(header, config),
+  });
+
+  const col = (header) => headers.indexOf(header);
+  // Pages of different files can have the same name
+  const pageKey = (row) => (col('source_file') >= 0 ? `${row[col('source_file')]}\0${row[col('page')]}` : row[col('page')]);
+  const primaryKey = (row) => `${pageKey(row)}\0${row[col(`${primaryType.name}Id`)]}`;
+  const itemKey = (row) => {
+    const itemType = itemTypes.find((t) => row[col(`${t.name}Id`)] != null);
+    return itemType ? `${primaryKey(row)}\0${itemType.name}\0${row[col(`${itemType.name}Id`)]}` : null;
+  };
+  const containerDepthCols = headers.filter((h) => h.startsWith('container_depth')).map(col);
+
+  const mergeKeysByColumn = {
+    ...(col('source_file') >= 0 ? { [col('source_file')]: (row) => row[col('source_file')] } : {}),
+    [col('page')]: pageKey,
+    [col(`${primaryType.name}Id`)]: primaryKey,
+    [col(primaryType.name)]: primaryKey,
+    ...getPropertyHeaders(primaryType).reduce((agg, header) => {
+      agg[col(header)] = primaryKey;
+      return agg;
+    }, {}),
+    ...(primaryType.dependencies ? {
+      [col('dependsOn')]: primaryKey,
+      [col('supports')]: primaryKey,
+    } : {}),
+    ...itemTypes.reduce((agg, itemType) => {
+      [`${itemType.name}Id`, ...getPropertyHeaders(itemType)].forEach((header) => {
+        agg[col(header)] = (row) => (
+          row[col(`${itemType.name}Id`)] != null ? itemKey(row) : null
+        );
+      });
+      return agg;
+    }, {}),
+    // Annotations of an item node are repeated on each of its rows
+    ...annotationTypes.reduce((agg, annotationType) => {
+      agg[col(annotationType.key)] = itemKey;
+      return agg;
+    }, {}),
+    [col('container')]: (row) => (
+      row[col('container')] ? `${pageKey(row)}\0${row[col('container')]}` : null
+    ),
+    // Container at given depth is merged only within the same parent containers
+    ...containerDepthCols.reduce((agg, colIndex, depthIndex) => {
+      agg[colIndex] = (row) => (
+        row[colIndex] ? [pageKey(row), ...containerDepthCols.slice(0, depthIndex + 1).map((c) => row[c])].join('\0') : null
+      );
+      return agg;
+    }, {}),
+  };
+
+  Object.entries(mergeKeysByColumn).forEach(([colIndex, getKey]) => {
+    findMergeRanges(rows, getKey).forEach(([start, end]) => {
+      // +2 because worksheet rows are 1-based, and the first row is the header
+      worksheet.mergeCells(start + 2, Number(colIndex) + 1, end + 2, Number(colIndex) + 1);
+    });
+  });
+};
+
+/**
+ * Create a sheet with all nodes of given type, e.g. "Assumptions".
+ * The name must be a valid sheet name, see `getXlsxSheetName`.
+ */
+const addXlsxNodeTypeSheet = (workbook, pages, config, text, nodeType, { name = nodeType.labelPlural } = {}) => {
+  const linkedTypes = getLinkedTypes(config, nodeType);
+  const linksToContainers = nodeType.linksTo.includes('container');
+  const hasSourceFiles = pages.some((page) => page.sourceFile);
+
+  const headers = [
+    ...(hasSourceFiles ? ['source_file'] : []),
+    'page',
+    `${nodeType.name}Id`,
+    nodeType.subItems ? nodeType.key : nodeType.name,
+    'container',
+    ...linkedTypes.map((linkedType) => `${linkedType.name}Ids`),
+    ...(linksToContainers ? ['containers'] : []),
+    ...(nodeType.dependencies ? ['dependsOn', 'supports'] : []),
+    ...getPropertyHeaders(nodeType),
+  ];
+
+  const rows = pages.flatMap((page) => getNodesOfType(page.data, nodeType).map((node) => [
+    ...(hasSourceFiles ? [page.sourceFile || null] : []),
+    getPageLabel(page),
+    node.prefixId,
+    nodeType.subItems ? formatSubItems(node, text) : text.nodeValue(node),
+    getContainerPath(node.container, text).join(' / '),
+    ...linkedTypes.map((linkedType) => (node[linkedType.key] || []).map((n) => n.prefixId).join(', ')),
+    ...(linksToContainers ? [(node.containers || []).map((c) => text.containerValue(c)).join(', ')] : []),
+    ...(nodeType.dependencies ? [
+      formatLinks(node.dependsOn, 'source'),
+      formatLinks(node.supports, 'target'),
+    ] : []),
+    ...getPropertyValues(node, nodeType, text),
+  ]));
+
+  addXlsxSheet(workbook, {
+    name,
+    rows: [headers, ...rows],
+    getColumnWidth: (header) => getXlsxColumnWidth(header, config),
+  });
+};
+
+const addXlsxContainersSheet = (workbook, pages, config, text, { name = 'Containers' } = {}) => {
+  const hasSourceFiles = pages.some((page) => page.sourceFile);
+  const rows = pages.flatMap((page) => page.data.containers.result.all
+    .filter((container) => container.nodeId)
+    .map((container) => [
+      ...(hasSourceFiles ? [page.sourceFile || null] : []),
+      getPageLabel(page),
+      container.nodeId,
+      text.containerValue(container),
+      getContainerPath(container.parent, text).join(' / '),
+      getContainerPath(container).length,
+      ...config.nodeTypes.map((nodeType) => (container[nodeType.key] || []).length),
+    ]));
+
+  const headers = [
+    ...(hasSourceFiles ? ['source_file'] : []),
+    'page',
+    'containerId',
+    'container',
+    'parent',
+    'depth',
+    ...config.nodeTypes.map((nodeType) => nodeType.key),
+  ];
+
+  addXlsxSheet(workbook, {
+    name,
+    rows: [headers, ...rows],
+    getColumnWidth: (header) => (header === 'container' ? 50 : 15),
+  });
+};
+
+// Cells of a spreadsheet can't show HTML, so rich text is exported as Markdown.
+// When pages of several files are exported together, the "Plan" sheet is the overview
+// of all files, and each file also gets its own plan sheet, named by its namespace.
+const exporterXlsx = async (pages, { config = loadConfig(), richText = false } = {}) => {
+  const text = getTextFormatter(richText);
+  const workbook = new ExcelJS.Workbook();
+
+  // Names of the sheets of the workbook are reserved first, so the labels of the node types
+  // (e.g. "Assumptions/Hypotheses", or "Plan") and the files can't clash with them, or make them invalid
+  const usedNames = new Set();
+  const planName = getXlsxSheetName('Plan', usedNames);
+  const containersName = getXlsxSheetName('Containers', usedNames);
+  const nodeTypeNames = config.nodeTypes.map((nodeType) => getXlsxSheetName(nodeType.labelPlural, usedNames));
+
+  addXlsxPlanSheet(workbook, pages, config, text, { name: planName });
+
+  const sourceFiles = [...new Set(pages.map((page) => page.sourceFile).filter(Boolean))];
+  sourceFiles.forEach((sourceFile) => {
+    const filePages = pages.filter((page) => page.sourceFile === sourceFile);
+    const name = getXlsxSheetName(filePages[0].namespace || path.basename(sourceFile), usedNames);
+    addXlsxPlanSheet(workbook, filePages, config, text, { name });
+  });
 
-  const csvData = doFormatCsv(data);
-  // TODO - merge columns
-  const csvString = Papa.unparse(csvData);
+  config.nodeTypes.forEach((nodeType, index) => addXlsxNodeTypeSheet(workbook, pages, config, text, nodeType, { name: nodeTypeNames[index] }));
+  addXlsxContainersSheet(workbook, pages, config, text, { name: containersName });
 
-  await fsp.writeFile(exportFile, csvString, 'utf-8');
+  return Buffer.from(await workbook.xlsx.writeBuffer());
 };
 
 module.exports = {
+  getPageLabel,
+  getContainerPath,
+  formatSubItems,
   exporterCsv,
   exporterXlsx,
+  exporterJson,
+  exporterMarkdown,
+  exporterHtml,
 };
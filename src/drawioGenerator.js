@@ -0,0 +1,345 @@
+//
+// Generator of a .drawio diagram from a research plan kept in a spreadsheet, in the same
+// column layout as the CSV export (see `doFormatCsv`), e.g. "assumptionId", "questionId",
+// "assumption", "question", "container_depth1"
+//
+
+const ExcelJS = require('exceljs');
+
+const { getPageLabel } = require('./drawioExporters');
+
+// Sizes and spacing of the generated cells, in pixels
+const NODE_WIDTH = 200;
+const PRIMARY_NODE_HEIGHT = 80;
+const ITEM_LINE_HEIGHT = 20;
+const SPACING = 20;
+const CONTAINER_HEADER_HEIGHT = 40;
+
+const CONTAINER_STYLE = 'rounded=0;whiteSpace=wrap;html=1;container=1;collapsible=0;verticalAlign=top;fontStyle=1;';
+const PRIMARY_NODE_STYLE = 'rounded=1;whiteSpace=wrap;html=1;';
+const ITEM_NODE_STYLE = 'shape=note;whiteSpace=wrap;html=1;align=left;verticalAlign=top;spacingLeft=8;size=14;';
+const EDGE_STYLE = 'edgeStyle=orthogonalEdgeStyle;rounded=0;html=1;';
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const escapeHtml = (text) => escapeXml(text).replace(/\r?\n/g, '<br>');
+
+/**
+ * Read the rows of the "Plan" sheet (or the first sheet) of an XLSX file,
+ * e.g. as saved by the xlsx export, as objects keyed by the header row.
+ *
+ * Merged cells give their value to all rows they span.
+ *
+ * @param {Buffer} content
+ * @returns {Promise<Object<string, string>[]>}
+ */
+const readXlsxRows = async (content) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(content);
+
+  const worksheet = workbook.getWorksheet('Plan') || workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, colNumber) => {
+    headers[colNumber] = cell.text.trim();
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    rows.push(headers.reduce((agg, header, colNumber) => {
+      if (header) agg[header] = row.getCell(colNumber).text;
+      return agg;
+    }, {}));
+  });
+
+  return rows;
+};
+
+/**
+ * Names of the containers that a row is placed in, from the top-most one.
+ * Taken from the "container_depthN" columns, or else from the "container" path.
+ */
+const getRowContainerPath = (row) => {
+  const depthColumns = Object.keys(row)
+    .map((header) => header.match(/^container_depth(\d+)$/))
+    .filter(Boolean)
+    .sort((a, b) => Number(a[1]) - Number(b[1]))
+    .map(([header]) => header);
+
+  const path = depthColumns.length
+    ? depthColumns.map((header) => row[header])
+    : (row.container || '').split(' / ');
+
+  return path.map((name) => (name || '').trim()).filter(Boolean);
+};
+
+/**
+ * Parse the dependencies formatted by the exports, e.g. "A(89), A(90) (label of the edge)".
+ */
+const parseDependencies = (text, prefix) => [...(text || '').matchAll(/(\w+)\((\w+)\)(?: \(([^)]*)\))?/g)]
+  .filter(([, linkPrefix]) => linkPrefix.toLowerCase() === prefix.toLowerCase())
+  .map(([, , prefixId, label]) => ({ prefixId, label: label || null }));
+
+/**
+ * Arrange the rows into pages with trees of containers, where each container
+ * has the nodes of the primary type (e.g. assumptions) placed in it, and each
+ * primary node has the item nodes (e.g. questions) linked to it.
+ *
+ * Rows of the same node (e.g. one per sub-question) are merged by the ID
+ * of the node, or by its value if it has no ID.
+ *
+ * Rows of a CSV exported from several files are kept apart by their `source_file`,
+ * as the files may have pages of the same name, and the same IDs. Their pages are
+ * named by both, e.g. "onboarding.drawio: Page-1".
+ *
+ * @param {Object<string, string>[]} rows
+ * @param {import('./drawioConfig').Config} config
+ */
+const arrangePlanRows = (rows, config) => {
+  const { primaryType, itemTypes } = config;
+  const pages = new Map();
+
+  const createContainer = (name) => ({ name, children: new Map(), nodes: [] });
+  const createNode = (nodeType, prefixId, row) => ({
+    nodeType,
+    prefixId,
+    value: '',
+    items: [],
+    linkedNodes: [],
+    properties: nodeType.properties.reduce((agg, property) => {
+      const value = (row[`${nodeType.name}_${property}`] || '').trim();
+      if (value) agg[property] = value;
+      return agg;
+    }, {}),
+    dependsOn: [],
+  });
+
+  const getCell = (row, header) => String(row[header] == null ? '' : row[header]).trim();
+
+  rows.forEach((row) => {
+    const sourceFile = getCell(row, 'source_file');
+    const pageLabel = getCell(row, 'page') || getPageLabel({ index: 0 });
+    const pageName = sourceFile ? `${sourceFile}: ${pageLabel}` : pageLabel;
+    if (!pages.has(pageName)) {
+      pages.set(pageName, { name: pageName, root: createContainer(null), nodesByKey: new Map() });
+    }
+    const page = pages.get(pageName);
+
+    const primaryId = getCell(row, `${primaryType.name}Id`);
+    const primaryValue = getCell(row, primaryType.name);
+    if (!primaryId && !primaryValue) return;
+
+    const primaryKey = `${primaryType.name}\0${primaryId || primaryValue}`;
+    let primaryNode = page.nodesByKey.get(primaryKey);
+    if (!primaryNode) {
+      primaryNode = createNode(primaryType, primaryId, row);
+      primaryNode.value = primaryValue;
+      primaryNode.dependsOn = primaryType.dependencies ? parseDependencies(row.dependsOn, primaryType.prefix) : [];
+      page.nodesByKey.set(primaryKey, primaryNode);
+
+      const container = getRowContainerPath(row).reduce((parent, name) => {
+        if (!parent.children.has(name)) parent.children.set(name, createContainer(name));
+        return parent.children.get(name);
+      }, page.root);
+      container.nodes.push(primaryNode);
+    }
+
+    itemTypes.forEach((itemType) => {
+      const itemId = getCell(row, `${itemType.name}Id`);
+      const itemText = getCell(row, itemType.name);
+      if (!itemId && !itemText) return;
+
+      // Item nodes without ID are merged into one per primary node
+      const itemKey = `${itemType.name}\0${itemId || `${primaryKey}\0`}`;
+      let itemNode = page.nodesByKey.get(itemKey);
+      if (!itemNode) {
+        itemNode = createNode(itemType, itemId, row);
+        itemNode.owner = primaryNode;
+        page.nodesByKey.set(itemKey, itemNode);
+      }
+      if (!primaryNode.linkedNodes.includes(itemNode)) primaryNode.linkedNodes.push(itemNode);
+      if (!itemText) return;
+
+      // Sub-item refs (e.g. "A(1):Q(2):3") keep the order of the sub-items
+      const [, itemNumber] = getCell(row, `sub${itemType.name}Id`).match(/:(\d+)$/) || [];
+      if (itemNumber) itemNode.items[Number(itemNumber) - 1] = itemText;
+      else if (!itemNode.items.includes(itemText)) itemNode.items.push(itemText);
+    });
+  });
+
+  return [...pages.values()];
+};
+
+/**
+ * Get the label of a node, e.g. "A(12): Users want..." or "Q(3):<br>- Why?<br>- How?".
+ * Nodes with IDs generated by the exports (e.g. "auto_1") are given no ID,
+ * so they get a new one when the diagram is parsed.
+ */
+const formatNodeLabel = (node) => {
+  const { prefix } = node.nodeType;
+  const prefixId = node.prefixId && !/^auto_/.test(node.prefixId) ? `(${node.prefixId})` : '';
+  const items = node.items.filter((item) => item != null);
+
+  if (node.nodeType.subItems) {
+    return [`${prefix}${prefixId}:`, ...items.map((item) => `- ${escapeHtml(item)}`)].join('<br>');
+  }
+  return `${prefix}${prefixId}: ${escapeHtml(node.value)}`;
+};
+
+const getNodeHeight = (node) => (node.nodeType.subItems
+  ? Math.max(PRIMARY_NODE_HEIGHT, ITEM_LINE_HEIGHT * (node.items.filter((item) => item != null).length + 2))
+  : PRIMARY_NODE_HEIGHT);
+
+/**
+ * Lay out the content of a container, and return its size. Positions are
+ * relative to the container, as Drawio expects for cells placed in containers.
+ *
+ * Each primary node starts a row, followed by the item nodes linked to it.
+ * Child containers are placed side by side under the rows.
+ */
+const layoutContainer = (container, { isRoot = false } = {}) => {
+  const padding = isRoot ? 0 : SPACING;
+  let y = isRoot ? 0 : CONTAINER_HEADER_HEIGHT;
+  let right = NODE_WIDTH + padding;
+  let bottom = y;
+
+  container.nodes.forEach((primaryNode) => {
+    let x = padding;
+    const rowNodes = [primaryNode, ...primaryNode.linkedNodes.filter((node) => node.owner === primaryNode)];
+
+    rowNodes.forEach((node) => {
+      node.bounds = { x, y, width: NODE_WIDTH, height: getNodeHeight(node) };
+      x += NODE_WIDTH + SPACING * 2;
+      right = Math.max(right, node.bounds.x + node.bounds.width);
+      bottom = Math.max(bottom, node.bounds.y + node.bounds.height);
+    });
+
+    y = bottom + SPACING * 2;
+  });
+
+  let x = padding;
+  container.children.forEach((child) => {
+    child.bounds = { x, y, ...layoutContainer(child) };
+    x += child.bounds.width + SPACING * 2;
+    right = Math.max(right, child.bounds.x + child.bounds.width);
+    bottom = Math.max(bottom, child.bounds.y + child.bounds.height);
+  });
+
+  return { width: right + padding, height: bottom + padding };
+};
+
+/**
+ * Create the <mxGraphModel> XML of a page.
+ */
+const formatPageXml = (page) => {
+  const cells = ['<mxCell id="0"/>', '<mxCell id="1" parent="0"/>'];
+  let lastCellId = 1;
+  const genCellId = () => String(++lastCellId);
+
+  const addVertex = ({ value, style, parentId, bounds, properties = {} }) => {
+    const id = genCellId();
+    const { x, y, width, height } = bounds;
+    const geometryXml = `<mxGeometry x="${x}" y="${y}" width="${width}" height="${height}" as="geometry"/>`;
+    const styleXml = `style="${escapeXml(style)}" vertex="1" parent="${parentId}"`;
+
+    // Cells with custom properties are wrapped, the same way as Drawio does
+    const propertyNames = Object.keys(properties);
+    if (propertyNames.length) {
+      const attributesXml = propertyNames
+        .map((name) => (name === 'tags'
+          ? `tags="${escapeXml(properties.tags.split(/\s*,\s*/).join(' '))}"`
+          : `${name}="${escapeXml(properties[name])}"`))
+        .join(' ');
+      cells.push(`<UserObject label="${escapeXml(value)}" ${attributesXml} id="${id}"><mxCell ${styleXml}>${geometryXml}</mxCell></UserObject>`);
+    } else {
+      cells.push(`<mxCell id="${id}" value="${escapeXml(value)}" ${styleXml}>${geometryXml}</mxCell>`);
+    }
+    return id;
+  };
+
+  const addEdge = ({ sourceId, targetId, label }) => {
+    cells.push(`<mxCell id="${genCellId()}" value="${escapeXml(label || '')}" style="${EDGE_STYLE}" edge="1" parent="1" source="${sourceId}" target="${targetId}"><mxGeometry relative="1" as="geometry"/></mxCell>`);
+  };
+
+  layoutContainer(page.root, { isRoot: true });
+
+  const nodes = [];
+  const addContainer = (container, parentId) => {
+    const containerId = container.name == null ? parentId : addVertex({
+      value: escapeHtml(container.name),
+      style: CONTAINER_STYLE,
+      parentId,
+      bounds: container.bounds,
+    });
+
+    container.nodes.forEach((primaryNode) => {
+      [primaryNode, ...primaryNode.linkedNodes.filter((node) => node.owner === primaryNode)].forEach((node) => {
+        node.cellId = addVertex({
+          value: formatNodeLabel(node),
+          style: node.nodeType.subItems ? ITEM_NODE_STYLE : PRIMARY_NODE_STYLE,
+          parentId: containerId,
+          bounds: node.bounds,
+          properties: node.properties,
+        });
+        nodes.push(node);
+      });
+    });
+    container.children.forEach((child) => addContainer(child, containerId));
+  };
+  addContainer(page.root, '1');
+
+  // Edges go from the node type that links to the other one, e.g. from questions to assumptions
+  nodes.forEach((node) => {
+    node.linkedNodes.forEach((linkedNode) => {
+      const fromLinked = linkedNode.nodeType.linksTo.includes(node.nodeType.name);
+      addEdge({
+        sourceId: fromLinked ? linkedNode.cellId : node.cellId,
+        targetId: fromLinked ? node.cellId : linkedNode.cellId,
+      });
+    });
+  });
+
+  const nodesByPrefixId = new Map(nodes.filter((node) => node.prefixId).map((node) => [`${node.nodeType.name}\0${node.prefixId}`, node]));
+  nodes.forEach((node) => {
+    node.dependsOn.forEach(({ prefixId, label }) => {
+      const dependency = nodesByPrefixId.get(`${node.nodeType.name}\0${prefixId}`);
+      if (dependency) addEdge({ sourceId: dependency.cellId, targetId: node.cellId, label });
+    });
+  });
+
+  return `<mxGraphModel><root>${cells.join('')}</root></mxGraphModel>`;
+};
+
+/**
+ * Generate the pages of a diagram from the rows of a research plan, in the column
+ * layout of the CSV export. Rows are objects keyed by the column names.
+ *
+ * Creates nested containers from the container columns, cells of the primary
+ * type (e.g. "A(12): ...") and of the item types (e.g. "Q(3):<br>- Why?"),
+ * and edges between them, including dependencies. Exported custom properties
+ * (e.g. "assumption_owner") are set on the cells. Annotations (e.g. notes) are not generated.
+ *
+ * The cells are laid out in a grid, so they can be rearranged in Drawio.
+ *
+ * @param {Object<string, string>[]} rows
+ * @param {Object} input
+ * @param {import('./drawioConfig').Config} input.config
+ * @returns {import('./drawioEncoder').DrawioPage[]}
+ */
+const generateDiagram = (rows, { config }) => arrangePlanRows(rows, config).map((page, index) => ({
+  index,
+  id: null,
+  name: page.name,
+  data: formatPageXml(page),
+}));
+
+module.exports = {
+  generateDiagram,
+  readXlsxRows,
+};
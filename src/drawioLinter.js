@@ -0,0 +1,160 @@
+//
+// Checks of the structure of a <diagram> element in a .drawio file, e.g. duplicate IDs or broken edges
+//
+
+const { findPrefixedNodes, getNodeKey, getNodesOfType, getCells, getCellAttribute } = require('./drawioParsers');
+
+/**
+ * @typedef {Object} LintIssue
+ * @property {'error'|'warning'} severity
+ * @property {string} code - Short name of the check, e.g. "duplicate-id"
+ * @property {string} message
+ * @property {string | null} cellId - ID of the cell that has the issue
+ * @property {string | null} ref - Key of the node that has the issue, e.g. "A(88)"
+ */
+
+/**
+ * Name the node in the messages, e.g. "Assumption A(88)". Auto-generated IDs
+ * are left out, as they are not in the diagram.
+ */
+const describeNode = (nodeType, node) => (
+  node.isAutoId ? `${nodeType.label} without ID` : `${nodeType.label} ${getNodeKey(node)}`
+);
+
+const getNodeRef = (node) => (node.isAutoId ? null : getNodeKey(node));
+
+const createIssue = (severity, code, message, { cellId = null, ref = null } = {}) => ({
+  severity,
+  code,
+  message,
+  cellId,
+  ref,
+});
+
+/**
+ * Nodes that share the same ID. Nodes without an ID are skipped,
+ * as they are given unique IDs when parsed.
+ */
+const lintDuplicateIds = ({ document, config }) => config.nodeTypes.flatMap((nodeType) => {
+  const nodesById = findPrefixedNodes({ document, prefix: nodeType.prefix, allowDuplicates: true })
+    .filter((prefixedNode) => !prefixedNode.isAutoId)
+    .reduce((agg, prefixedNode) => {
+      const key = getNodeKey(prefixedNode);
+      agg[key] = agg[key] || [];
+      agg[key].push(prefixedNode);
+      return agg;
+    }, {});
+
+  return Object.entries(nodesById)
+    .filter(([, nodes]) => nodes.length > 1)
+    .flatMap(([key, nodes]) => nodes.map((prefixedNode) => createIssue(
+      'error',
+      'duplicate-id',
+      `${nodeType.label} ${key} has the same ID as ${nodes.length - 1} other cell(s)`,
+      { cellId: prefixedNode.nodeId, ref: key },
+    )));
+});
+
+/**
+ * Edges whose ends point to cells that are not in the diagram (anymore).
+ */
+const lintBrokenEdges = ({ document }) => {
+  const cellIds = new Set([...document.querySelectorAll('[id]')].map((node) => node.id));
+
+  return getCells(document).filter((cell) => getCellAttribute(cell, 'edge') === '1').flatMap((edge) => ['source', 'target']
+    .filter((end) => getCellAttribute(edge, end) && !cellIds.has(getCellAttribute(edge, end)))
+    .map((end) => createIssue(
+      'error',
+      'broken-edge',
+      `Edge points to a deleted cell "${getCellAttribute(edge, end)}" at its ${end}`,
+      { cellId: edge.id || null },
+    )));
+};
+
+/**
+ * Nodes with sub-items (e.g. questions) that are not connected to any node they should link to.
+ */
+const lintUnconnectedNodes = ({ data, config }) => config.itemTypes.flatMap((nodeType) => {
+  const linkedTypes = config.nodeTypes.filter((otherType) => nodeType.linksTo.includes(otherType.name));
+
+  return getNodesOfType(data, nodeType)
+    .filter((node) => !linkedTypes.some((linkedType) => (node[linkedType.key] || []).length))
+    .map((node) => createIssue(
+      'warning',
+      'unconnected-node',
+      `${describeNode(nodeType, node)} is not connected to any ${linkedTypes.map((t) => t.name).join(' or ')}`,
+      { cellId: node.nodeId, ref: getNodeRef(node) },
+    ));
+});
+
+const lintNodesOutsideContainers = ({ data, config }) => {
+  const { primaryType } = config;
+
+  return getNodesOfType(data, primaryType)
+    .filter((node) => !node.container)
+    .map((node) => createIssue(
+      'warning',
+      'outside-container',
+      `${describeNode(primaryType, node)} is not inside any container`,
+      { cellId: node.nodeId, ref: getNodeRef(node) },
+    ));
+};
+
+const lintEmptySubItems = ({ data, config }) => config.nodeTypes
+  .filter((nodeType) => nodeType.subItems)
+  .flatMap((nodeType) => getNodesOfType(data, nodeType)
+    .filter((node) => !node.items.length)
+    .map((node) => createIssue(
+      'warning',
+      'no-sub-items',
+      `${describeNode(nodeType, node)} has no sub-items (lines that start with "-", or list items)`,
+      { cellId: node.nodeId, ref: getNodeRef(node) },
+    )));
+
+const lintDependencyCycles = ({ data }) => {
+  const { cycles } = (data.dependencies && data.dependencies.result) || { cycles: [] };
+
+  return cycles.map((cycle) => createIssue(
+    'warning',
+    'dependency-cycle',
+    `Nodes depend on each other in a cycle: ${cycle.map(getNodeKey).join(' -> ')}`,
+    { cellId: cycle[0].nodeId, ref: getNodeRef(cycle[0]) },
+  ));
+};
+
+/**
+ * Find issues in the structure of a single page.
+ *
+ * Checks that need the parsed data are skipped if any of the parsers failed,
+ * and the parser errors are reported instead.
+ *
+ * @param {Object} input
+ * @param {Document} input.document - XML document of the page
+ * @param {Object} input.data - Parsed and transformed data of the page, in shape `{ parserName: { parser, result, error } }`
+ * @param {import('./drawioConfig').Config} input.config
+ * @returns {LintIssue[]}
+ */
+const lintPage = ({ document, data, config }) => {
+  const parserErrors = Object.entries(data)
+    .filter(([, { error }]) => error)
+    .map(([parserName, { error }]) => createIssue('error', 'parser-error', `Parser "${parserName}" failed: ${error.message}`));
+
+  const documentIssues = [
+    ...lintDuplicateIds({ document, config }),
+    ...lintBrokenEdges({ document }),
+  ];
+
+  if (parserErrors.length) return [...parserErrors, ...documentIssues];
+
+  return [
+    ...documentIssues,
+    ...lintUnconnectedNodes({ data, config }),
+    ...lintNodesOutsideContainers({ data, config }),
+    ...lintEmptySubItems({ data, config }),
+    ...lintDependencyCycles({ data }),
+  ];
+};
+
+module.exports = {
+  lintPage,
+};
@@ -3,7 +3,136 @@
 //
 
 const { keyBy } = require('lodash');
-const jsdom = require('jsdom');
+const { decodeHTML } = require('entities');
+
+// Drawio wraps cells that have custom properties or tags into <UserObject> (or <object>)
+// elements. The wrapper has the ID, the label and the properties, the inner <mxCell> the rest.
+const CELL_WRAPPER_TAGS = ['UserObject', 'object'];
+// Attributes of the wrappers that are not custom properties
+const RESERVED_WRAPPER_ATTRIBUTES = new Set(['id', 'label', 'placeholders', 'tags']);
+
+const isCellWrapper = (element) => CELL_WRAPPER_TAGS.includes(element.tagName);
+
+/**
+ * Get the cells of the diagram, in document order. Wrapped cells are represented by their wrapper.
+ *
+ * @param {Document} document
+ * @returns {Element[]}
+ */
+const getCells = (document) => [...document.querySelectorAll(['mxCell', ...CELL_WRAPPER_TAGS].join(', '))]
+  .filter((element) => !(element.tagName === 'mxCell' && element.parentElement && isCellWrapper(element.parentElement)));
+
+/**
+ * Get the <mxCell> element of a cell, which has the style, the parent and the geometry.
+ *
+ * @param {Element} node - <mxCell>, or its wrapper
+ */
+const getMxCell = (node) => (isCellWrapper(node)
+  ? [...node.children].find((child) => child.tagName === 'mxCell') || node
+  : node);
+
+/**
+ * @param {Element} node - <mxCell>, or its wrapper
+ * @param {string} name - E.g. "style", "parent", "source"
+ */
+const getCellAttribute = (node, name) => getMxCell(node).getAttribute(name);
+
+/**
+ * Get the raw value (label) of a cell.
+ *
+ * @param {Element} node - <mxCell>, or its wrapper
+ */
+const getCellValue = (node) => node.getAttribute(isCellWrapper(node) ? 'label' : 'value') || '';
+
+/**
+ * @param {Element} node - <mxCell>, or its wrapper
+ * @param {string} value
+ */
+const setCellValue = (node, value) => node.setAttribute(isCellWrapper(node) ? 'label' : 'value', value);
+
+/**
+ * Get the custom properties of a cell (set in Drawio via Edit Data), e.g. `{ owner: "Jane" }`.
+ *
+ * @param {Element} node - <mxCell>, or its wrapper
+ * @returns {Object<string, string>}
+ */
+const getCellProperties = (node) => (isCellWrapper(node) ? [...node.attributes] : [])
+  .filter((attribute) => !RESERVED_WRAPPER_ATTRIBUTES.has(attribute.name))
+  .reduce((agg, attribute) => {
+    agg[attribute.name] = attribute.value;
+    return agg;
+  }, {});
+
+/**
+ * Get the tags of a cell (set in Drawio via Edit Data, or Edit > Edit Tags).
+ *
+ * @param {Element} node - <mxCell>, or its wrapper
+ * @returns {string[]}
+ */
+const getCellTags = (node) => (isCellWrapper(node) ? node.getAttribute('tags') || '' : '')
+  .split(/\s+/)
+  .filter(Boolean);
+
+// Cells that hold other cells - containers, swimlanes (incl. pools and lanes) and groups
+const CONTAINER_STYLE_REGEX = /(?:^|;)(?:container=1|swimlane|shape=swimlane)(?:;|$)/;
+const GROUP_STYLE_REGEX = /(?:^|;)group(?:;|$)/;
+
+const getStyle = (node) => getCellAttribute(node, 'style') || '';
+const hasLabel = (node) => Boolean(getCellText(node).trim());
+const isVertex = (node) => getCellAttribute(node, 'vertex') === '1';
+
+const findChildElement = (element, tagName, as) => [...element.children]
+  .find((child) => child.tagName === tagName && child.getAttribute('as') === as);
+
+const getNumberAttribute = (element, name) => (element && Number(element.getAttribute(name))) || 0;
+
+/**
+ * Create function that gets the bounds of a cell in the coordinates of the page.
+ *
+ * Positions of cells placed in other cells (e.g. in a swimlane or group) are relative
+ * to their parent. Relative geometry (`relative="1"`) is given as a fraction
+ * of the parent's size, moved by the offset.
+ *
+ * @param {Object<string, Element>} cellsById
+ */
+const createBoundsGetter = (cellsById) => {
+  const boundsCache = new Map();
+
+  const getBounds = (node) => {
+    if (boundsCache.has(node)) return boundsCache.get(node);
+    // Guards against cells that are their own ancestors
+    boundsCache.set(node, null);
+
+    const geometry = findChildElement(getMxCell(node), 'mxGeometry', 'geometry');
+    if (!geometry) return null;
+
+    const parent = cellsById[getCellAttribute(node, 'parent')];
+    const origin = (parent && isVertex(parent) && getBounds(parent)) || { x: 0, y: 0, width: 0, height: 0 };
+    const relative = geometry.getAttribute('relative') === '1';
+    const offset = findChildElement(geometry, 'mxPoint', 'offset');
+
+    const getPosition = (axis, size) => origin[axis]
+      + getNumberAttribute(geometry, axis) * (relative ? origin[size] : 1)
+      + getNumberAttribute(offset, axis);
+
+    const bounds = {
+      x: getPosition('x', 'width'),
+      y: getPosition('y', 'height'),
+      width: getNumberAttribute(geometry, 'width'),
+      height: getNumberAttribute(geometry, 'height'),
+    };
+    boundsCache.set(node, bounds);
+    return bounds;
+  };
+
+  return getBounds;
+};
+
+const containsCenterOf = (outer, inner) => {
+  const x = inner.x + inner.width / 2;
+  const y = inner.y + inner.height / 2;
+  return x >= outer.x && x <= outer.x + outer.width && y >= outer.y && y <= outer.y + outer.height;
+};
 
 /**
  * Given a DOM Document of an .drawio XML, extract the info on containers
@@ -12,19 +141,101 @@ const jsdom = require('jsdom');
  * (When container A is inserted into container B, container B is the parent
  * and container A is the child.)
  *
+ * Containers are cells with `container=1` in their style, swimlanes, and groups
+ * that have a label. Groups without a label are not containers, and cells
+ * placed in them belong to the group's container.
+ *
+ * How cells are assigned to containers is set by `config.containerDetection`:
+ * - `parent` (default) - By the `parent` attribute, i.e. the cell was dropped into
+ *   the container in Drawio.
+ * - `geometry` - Also by position. Cells belong to the smallest container (or
+ *   other labelled shape, e.g. a big rectangle) that is larger than the cell
+ *   and contains its center.
+ *
+ * Besides the tree of containers, returns `members` - the container of each
+ * cell, by cell ID.
+ *
  * @param {Document} document
+ * @param {Object} [context]
+ * @param {import('./drawioConfig').Config} [context.config]
  */
-const parseContainers = (document) => {
-  // See https://developer.mozilla.org/en-US/docs/Web/CSS/Attribute_selectors
-  const containerNodes = [...document.querySelectorAll('mxCell[style*="container=1"]')]
-    .filter((node) => node.id);
+const parseContainers = (document, context) => {
+  const { config } = context || {};
+  const {
+    containerDetection = 'parent',
+    nodeTypes = [],
+  } = config || {};
+
+  const cells = getCells(document).filter((node) => node.id);
+  const cellsById = keyBy(cells, 'id');
+
+  const isContainer = (node) => CONTAINER_STYLE_REGEX.test(getStyle(node))
+    || (GROUP_STYLE_REGEX.test(getStyle(node)) && hasLabel(node));
+
+  // Nearest ancestor that is a container, skipping groups and other cells in between
+  const getParentContainer = (node) => {
+    const visited = new Set([node]);
+    let parent = cellsById[getCellAttribute(node, 'parent')];
+    while (parent && !visited.has(parent) && !isContainer(parent)) {
+      visited.add(parent);
+      parent = cellsById[getCellAttribute(parent, 'parent')];
+    }
+    return parent && !visited.has(parent) ? parent : null;
+  };
+
+  const containerNodes = cells.filter(isContainer);
+  let getContainer = getParentContainer;
+
+  if (containerDetection === 'geometry') {
+    const getBounds = createBoundsGetter(cellsById);
+    const isPrefixedNode = (node) => nodeTypes.some((nodeType) => genPrefixRegexp(nodeType.prefix).test(getCellText(node)));
+
+    // Edge labels are placed relative to the edge, so they are left out
+    const vertices = cells.filter((node) => {
+      const parent = cellsById[getCellAttribute(node, 'parent')];
+      return isVertex(node) && getBounds(node) && !(parent && getCellAttribute(parent, 'edge') === '1');
+    });
+
+    // Larger cells come first. Cells can be only in cells that come before them,
+    // so two cells never contain each other
+    const area = (node) => getBounds(node).width * getBounds(node).height;
+    const sortedVertices = [...vertices].sort((a, b) => area(b) - area(a));
+    const rank = new Map(sortedVertices.map((node, index) => [node, index]));
+    const isLarger = (outer, inner) => !rank.has(inner) || (rank.has(outer) && rank.get(outer) < rank.get(inner));
+
+    const containsNode = (outer, inner) => outer !== inner && isLarger(outer, inner)
+      && rank.has(outer) && rank.has(inner) && containsCenterOf(getBounds(outer), getBounds(inner));
+
+    const shapeContainers = vertices.filter((node) => !isContainer(node)
+      && hasLabel(node)
+      && !isPrefixedNode(node)
+      && vertices.some((other) => containsNode(node, other)));
+    containerNodes.push(...shapeContainers);
+    containerNodes.sort((a, b) => cells.indexOf(a) - cells.indexOf(b));
+
+    getContainer = (node) => {
+      const candidates = containerNodes.filter((container) => containsNode(container, node));
+
+      // Container that the cell was dropped into counts even if the cell sticks out of it
+      const parentContainer = getParentContainer(node);
+      if (parentContainer && (!containerNodes.includes(node) || isLarger(parentContainer, node))) {
+        candidates.push(parentContainer);
+      }
+
+      // The smallest of the containers
+      return candidates.reduce((smallest, container) => (
+        !smallest || (rank.get(container) || 0) > (rank.get(smallest) || 0) ? container : smallest
+      ), null);
+    };
+  }
 
   const createNode = () => ({
     node: null,
     nodeId: null,
     parent: null,
     children: [],
-    value: null
+    value: null,
+    rawValue: null,
   });
   const connectNodes = (parent, child) => {
     parent.children.push(child);
@@ -32,38 +243,31 @@ const parseContainers = (document) => {
   };
 
   const containerRoot = createNode();
-  const containerCache = {};
-  const containerNodeIds = new Set(containerNodes.map((node) => node.id));
-
-  // Populate the graph in the first iter
+  const containerCache = new Map(containerNodes.map((node) => {
+    const treeNode = createNode();
+    treeNode.node = node;
+    treeNode.nodeId = node.id;
+    treeNode.rawValue = getCellValue(node);
+    treeNode.value = isHtmlCell(node) ? htmlDecode(treeNode.rawValue) : treeNode.rawValue;
+    return [node, treeNode];
+  }));
+
+  // Connect parent-child. Containers without parent container are assigned to the root
   containerNodes.forEach((node) => {
-    // The node might be already in the tree if added by child - if not, add it
-    if (!containerCache[node.id]) {
-      containerCache[node.id] = createNode();
-    }
-
-    const currTreeNode = containerCache[node.id];
-    currTreeNode.node = node;
-    currTreeNode.nodeId = node.id;
-    currTreeNode.value = (node.getAttribute('value') || '');
-
-    // Connect parent-child
-    const parentId = node.getAttribute('parent');
-    // No parent container - assign it to the root
-    if (!parentId || !containerNodeIds.has(parentId)) {
-      connectNodes(containerRoot, currTreeNode);
-    }
-    // Has parent, but we didn't see it yet - create parent placeholder
-    if (!containerCache[parentId]) {
-      containerCache[parentId] = createNode();
-    }
-    // Has parent, and parent node exists - connect parent and child
-    connectNodes(containerCache[parentId], currTreeNode);
+    const parent = getContainer(node);
+    connectNodes(containerCache.get(parent) || containerRoot, containerCache.get(node));
   });
 
+  const members = cells.reduce((agg, node) => {
+    const container = getContainer(node);
+    if (container) agg[node.id] = containerCache.get(container);
+    return agg;
+  }, {});
+
   return {
     root: containerRoot,
-    all: Object.values(containerCache),
+    all: [...containerCache.values()],
+    members,
   };
 };
 
@@ -89,6 +293,8 @@ const genPrefixedNodeSelector = (prefix) => {
     // `mxCell[value^="${prefix}(" i]`, // mxCell[value^="A(" i]
     // `mxCell[value*=">${prefix}(" i]`, // mxCell[value*=">A(" i]
     'mxCell[value]',
+    // Cells with custom properties are wrapped, and the wrapper has the value as "label"
+    ...CELL_WRAPPER_TAGS.map((tagName) => `${tagName}[label]`),
   ].join(', ');
 };
 
@@ -127,29 +333,100 @@ const createIdGen = (options) => {
   return genNextId;
 };
 
-function htmlDecode(input) {
-  const jsdomObj = new jsdom.JSDOM(input, "text/html");
-  return jsdomObj.window.document.documentElement.textContent;
-}
+/**
+ * Get the text of an HTML value, the same as the text content of the parsed HTML -
+ * tags and comments are removed, and entities (e.g. "&amp;") are decoded.
+ *
+ * The HTML is processed as a string, as creating a DOM for each cell
+ * is too slow for diagrams with thousands of cells.
+ *
+ * @param {string} input
+ */
+const htmlDecode = (input) => {
+  const text = input
+    // HTML parser ignores whitespace before the first tag or text
+    .replace(/^[\t\n\f\r ]+/, '')
+    .replace(/\r\n?/g, '\n')
+    // Comments, doctypes and processing instructions
+    .replace(/<!--[\s\S]*?(?:-->|$)|<(?:[!?]|\/[^a-z>])[^>]*(?:>|$)/gi, '')
+    // Start and end tags. Unfinished tag at the end is dropped too
+    .replace(/<\/?[a-z](?:"[^"]*"|'[^']*'|[^'">])*(?:>|$)/gi, '')
+    .replace(/<\/>/g, '');
+
+  return decodeHTML(text);
+};
+
+// Decoded values of cells, so each cell is decoded only once, even when searched
+// for multiple prefixes (e.g. by the parsers of all node types)
+const cellTextCache = new WeakMap();
+
+/**
+ * Get the decoded text of the cell's value.
+ *
+ * @param {Element} node
+ * @param {Object} [options]
+ * @param {boolean} [options.preserveLineBreaks] - If true, line breaks (<br>, <div>) are kept as newlines
+ */
+const getCellText = (node, options) => {
+  const {
+    preserveLineBreaks = false,
+  } = options || {};
 
-const extractPrefixFromNode = ({ node, prefix }) => {
-  const rawValue = node.getAttribute('value') || '';
-  const value = htmlDecode(rawValue) || '';
+  const rawValue = getCellValue(node);
+
+  // The value may have been edited since it was cached (e.g. by assigning IDs)
+  let cached = cellTextCache.get(node);
+  if (!cached || cached.rawValue !== rawValue) {
+    cached = { rawValue, text: null, multilineText: null };
+    cellTextCache.set(node, cached);
+  }
+
+  const cacheKey = preserveLineBreaks ? 'multilineText' : 'text';
+  if (cached[cacheKey] == null) {
+    const htmlValue = preserveLineBreaks ? rawValue.replace(/<br.*?>|<\/(?:div|p)>/gi, '\n') : rawValue;
+    cached[cacheKey] = htmlDecode(htmlValue);
+  }
+
+  return cached[cacheKey];
+};
+
+/**
+ * @param {Object} input
+ * @param {Element} input.node
+ * @param {string} input.prefix
+ * @param {boolean} [input.preserveLineBreaks] - If true, line breaks (<br>, <div>) are kept as newlines
+ */
+const extractPrefixFromNode = ({ node, prefix, preserveLineBreaks }) => {
+  const rawValue = getCellValue(node);
+  const value = getCellText(node, { preserveLineBreaks });
   // Extract ID
   const idRegex = genPrefixRegexp(prefix);
   const [match, prefixId] = value.match(idRegex) || [];
 
   if (!match) return { match: false, value: '', rawValue: '', prefixId: null };
 
-  const cleanValue = value
+  let cleanValue = value
     // In some cases the value may be just a nested HTML with <font> or <span> tags
     .replace(/<\/?(?:font|span)\s*.*?>/g, '')
     .replace(idRegex, ''); // Remove our assumption ID
 
+  if (preserveLineBreaks) cleanValue = cleanValue.trim();
+
   return { match: true, value: cleanValue, rawValue, prefixId };
 };
 
-const createParserForPrefixedNode = (prefix) => {
+/**
+ * @param {string} prefix
+ * @param {Object} [options]
+ * @param {boolean} [options.allowDuplicates] - If true, nodes with the same ID don't raise an error
+ * @param {boolean} [options.preserveLineBreaks] - If true, line breaks in values are kept as newlines
+ */
+const createParserForPrefixedNode = (prefix, options) => {
+  const {
+    allowDuplicates = false,
+    preserveLineBreaks = false,
+  } = options || {};
+
   const seenIds = new Set();
 
   const genNextAutoId = createIdGen({
@@ -162,12 +439,12 @@ const createParserForPrefixedNode = (prefix) => {
     // 
     // Note: Do not refer to Assumption and Question as Node. Node is already
     // the generic "thing" we get from Drawio
-    const { match, value, rawValue, prefixId } = extractPrefixFromNode({ node, prefix });
+    const { match, value, rawValue, prefixId } = extractPrefixFromNode({ node, prefix, preserveLineBreaks });
 
-    if (!match) return { match, prefixId: null, value: '', rawValue: '' };
+    if (!match) return { match, prefixId: null, isAutoId: false, value: '', rawValue: '' };
 
     if (prefixId != null) {
-      if (seenIds.has(prefixId)) {
+      if (seenIds.has(prefixId) && !allowDuplicates) {
         throw Error(`Found duplicate Node with prefix "${prefix}(${prefixId})"`)
       } else {
         seenIds.add(prefixId);
@@ -176,7 +453,7 @@ const createParserForPrefixedNode = (prefix) => {
 
     const finalPrefixId = prefixId || genNextAutoId();
 
-    return { match, prefixId: finalPrefixId, value, rawValue };
+    return { match, prefixId: finalPrefixId, isAutoId: prefixId == null, value, rawValue };
   };
 
   return { parseNode };
@@ -188,10 +465,30 @@ const createParserForPrefixedNode = (prefix) => {
  * @property {string} nodeId
  * @property {string} prefix
  * @property {string} prefixId
+ * @property {boolean} isAutoId - True if the node has no ID in its value, and the ID was generated
  * @property {string} value
  * @property {string} rawValue
+ * @property {Object<string, string>} properties - Custom properties of the cell, e.g. `{ owner: "Jane" }`
+ * @property {string[]} tags
  */
 
+/**
+ * Key that identifies a node, e.g. "A(88)" or "Q(34)". Nodes of files exported together
+ * are prefixed by the namespace of their file, e.g. "onboarding:A(88)".
+ *
+ * @param {PrefixedNode & { namespace?: string }} node
+ */
+const getNodeKey = (node) => `${node.namespace ? `${node.namespace}:` : ''}${node.prefix}(${node.prefixId})`;
+
+/**
+ * Get the parsed nodes of given type from the data of a page, or an empty list
+ * if the parser of the type failed or is missing.
+ *
+ * @param {Object} data - Parsed data of a page, keyed by the parsers
+ * @param {import('./drawioConfig').NodeTypeConfig} nodeType
+ */
+const getNodesOfType = (data, nodeType) => ((data[nodeType.key] && data[nodeType.key].result) || []);
+
 /**
  * Common pathway for finding nodes in the document whose "value" prop
  * is prefixed.
@@ -206,16 +503,20 @@ const createParserForPrefixedNode = (prefix) => {
  * @param {Object} input
  * @param {Document} input.document
  * @param {string} input.prefix
+ * @param {boolean} [input.allowDuplicates] - If true, nodes with the same ID don't raise an error
+ * @param {boolean} [input.preserveLineBreaks] - If true, line breaks in values are kept as newlines
+ * @param {Element[]} [input.cells] - Cells to search, e.g. found by `createPrefixedCellFinder`.
+ *   All cells of the document by default
  * @returns {PrefixedNode[]}
  */
-const findPrefixedNodes = ({ document, prefix }) => {
-  const { parseNode } = createParserForPrefixedNode(prefix);
+const findPrefixedNodes = ({ document, prefix, allowDuplicates, preserveLineBreaks, cells }) => {
+  const { parseNode } = createParserForPrefixedNode(prefix, { allowDuplicates, preserveLineBreaks });
 
-  const prefixedNodes = [...document.querySelectorAll(genPrefixedNodeSelector(prefix))]
+  const prefixedNodes = (cells || [...document.querySelectorAll(genPrefixedNodeSelector(prefix))])
     .reduce((aggArr, node) => {
       if (!node.id) return aggArr;
 
-      const { match, prefixId, value, rawValue } = parseNode(node);
+      const { match, prefixId, isAutoId, value, rawValue } = parseNode(node);
       if (!match) return aggArr;
 
       const prefixedNode = {
@@ -223,8 +524,11 @@ const findPrefixedNodes = ({ document, prefix }) => {
         nodeId: node.id,
         prefix,
         prefixId,
+        isAutoId,
         value,
         rawValue,
+        properties: getCellProperties(node),
+        tags: getCellTags(node),
       };
 
       aggArr.push(prefixedNode);
@@ -235,68 +539,354 @@ const findPrefixedNodes = ({ document, prefix }) => {
 };
 
 /**
- * Given a DOM Document of an .drawio XML, extract the info on assumptions.
+ * Create a function that finds the cells whose value starts with the prefix of any
+ * of the node types, grouped by the prefix, e.g. `{ A: [...], Q: [...], N: [...] }`.
  *
- * Assumptions are just statements that can be connected to each other,
- * to questions, or inserted into containers.
+ * The cells of a document are scanned only once, in a single pass for all prefixes,
+ * and the result is shared by the parsers of all node types.
  *
- * @param {Document} document
+ * @param {import('./drawioConfig').NodeTypeConfig[]} nodeTypes
+ * @returns {(document: Document) => Object<string, Element[]>}
  */
-const parseAssumptions = (document) => {
-  const assumptionNodes = findPrefixedNodes({ document, prefix: 'A' }).map((prefixedNodeData) => {
-    const parentId = prefixedNodeData.node.getAttribute('parent') || null;
-    return {
-      ...prefixedNodeData,
-      parentId,
-      questions: [],
-    };
-  });
+const createPrefixedCellFinder = (nodeTypes) => {
+  const cellsByDocument = new WeakMap();
+  const matchers = nodeTypes.map((nodeType) => ({
+    prefix: nodeType.prefix,
+    regex: genPrefixRegexp(nodeType.prefix),
+    preserveLineBreaks: Boolean(nodeType.multiline),
+  }));
+
+  const findCells = (document) => {
+    if (cellsByDocument.has(document)) return cellsByDocument.get(document);
+
+    const cellsByPrefix = matchers.reduce((agg, { prefix }) => {
+      agg[prefix] = [];
+      return agg;
+    }, {});
+
+    for (const node of document.querySelectorAll(genPrefixedNodeSelector())) {
+      if (!node.id) continue;
+      matchers.forEach(({ prefix, regex, preserveLineBreaks }) => {
+        if (regex.test(getCellText(node, { preserveLineBreaks }))) cellsByPrefix[prefix].push(node);
+      });
+    }
+
+    cellsByDocument.set(document, cellsByPrefix);
+    return cellsByPrefix;
+  };
 
-  return assumptionNodes;
+  return findCells;
 };
 
 /**
- * Given a DOM Document of an .drawio XML, extract the info on questions.
+ * Whether the value of the cell is HTML (style contains `html=1`), or plain text.
  *
- * Questions are connected to assumtions via edges (arrows).
+ * @param {Element} node
+ */
+const isHtmlCell = (node) => /(?:^|;)html=1/.test(getCellAttribute(node, 'style') || '');
+
+// Tags that start a new line when rendered
+const BLOCK_TAGS = new Set(['div', 'p', 'li', 'ul', 'ol', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'table', 'tr']);
+const LIST_TAGS = new Set(['ul', 'ol']);
+
+/**
+ * Split the raw value of a cell into lines, as they are shown in the diagram.
+ * Each line is a list of characters (entities count as a single character),
+ * with their position in the raw value.
  *
- * @param {Document} document
+ * Lines that are items of HTML lists (<ul>, <ol>) have `listDepth`,
+ * starting at 0 for the outermost list.
+ *
+ * @param {string} rawValue
+ * @param {Object} options
+ * @param {boolean} options.html - Whether the value is HTML, or plain text
+ * @returns {{ chars: { text: string, start: number, end: number }[], listDepth: number | null }[]}
  */
-const parseQuestions = (document) => {
-  const questionNodes = findPrefixedNodes({ document, prefix: 'Q' }).map((prefixedNodeData) => {
-    const questions = prefixedNodeData.rawValue.split(/<br.*?>-\s*/).slice(1).map((q) => q.trim()).filter(Boolean);
-    return {
-      ...prefixedNodeData,
-      questions,
-      targetIds: [], // Nodes that the question is connected to
+const splitValueLines = (rawValue, { html }) => {
+  const tokenRegex = html
+    ? /<!--[\s\S]*?(?:-->|$)|<(?:[!?]|\/[^a-z>])[^>]*(?:>|$)|<\/>|<(\/?)([a-z][\w-]*)(?:"[^"]*"|'[^']*'|[^'">])*(?:>|$)|&(?:#\d+|#x[\da-f]+|\w+);|[\s\S]/gi
+    : /[\s\S]/g;
+
+  let line = { chars: [], listDepth: null };
+  const lines = [line];
+  const listStack = [];
+
+  // Line breaks (<br>) always start a new line, while block tags (e.g. <div>)
+  // only start a new line if the current one has some text
+  const breakLine = ({ force = false } = {}) => {
+    if (!force && !line.chars.length && line.listDepth == null) return;
+    line = { chars: [], listDepth: null };
+    lines.push(line);
+  };
+
+  for (const match of rawValue.matchAll(tokenRegex)) {
+    const [raw, closingSlash, tagName] = match;
+    const start = match.index;
+    const end = start + raw.length;
+
+    if (!html) {
+      if (raw === '\n') breakLine({ force: true });
+      else if (raw !== '\r') line.chars.push({ text: raw, start, end });
+      continue;
+    }
+
+    // Comments and other markup that is not shown
+    if (raw.length > 1 && raw.startsWith('<') && !tagName) continue;
+
+    if (tagName) {
+      const name = tagName.toLowerCase();
+      if (name === 'br') {
+        breakLine({ force: true });
+      } else if (BLOCK_TAGS.has(name)) {
+        breakLine();
+        if (LIST_TAGS.has(name)) {
+          if (closingSlash) listStack.pop();
+          else listStack.push(name);
+        }
+        if (name === 'li' && !closingSlash) line.listDepth = Math.max(0, listStack.length - 1);
+      }
+      continue;
+    }
+
+    // Whitespace in HTML is shown as a single space
+    const text = raw.startsWith('&') ? decodeHTML(raw) : raw.replace(/[\t\n\f\r]/, ' ');
+    const prevChar = line.chars[line.chars.length - 1];
+    if (text === ' ' && prevChar && prevChar.text === ' ') continue;
+
+    line.chars.push({ text, start, end });
+  }
+
+  return lines;
+};
+
+/**
+ * @typedef {Object} SubItem
+ * @property {string} text - Plain text of the sub-item, without the list marker
+ * @property {number} depth - Nesting level, 0 for top-level sub-items
+ * @property {number} rawStart - Position in the raw value where the text of the sub-item starts
+ * @property {number} rawEnd - Position in the raw value where the text of the sub-item ends
+ */
+
+// "- ", "* ", "• ", or "1. ", "1) ". Dash may be followed by the text directly, e.g. "-First question?"
+const SUB_ITEM_MARKER_REGEX = /^(?:[-*•]|\d+[.)](?=\s))\s*/;
+
+/**
+ * Find the sub-items in the raw value of a node, e.g. sub-questions of a question.
+ *
+ * Sub-items can be written as:
+ * - lines starting with a dash or other list marker, e.g.
+ *   `Q(12):<br>- First question?<br>- Second question?`, also in <div> per line,
+ *   or as plain text lines in cells without HTML
+ * - items of HTML lists, e.g. `Q(12):<ul><li>First question?</li></ul>`, bulleted or numbered
+ *
+ * Nested sub-items (indented lines, or nested lists) have `depth` greater than 0.
+ * Lines without a list marker that follow a sub-item continue the sub-item.
+ *
+ * @param {string} rawValue
+ * @param {Object} [options]
+ * @param {boolean} [options.html=true] - Whether the value is HTML (style contains `html=1`)
+ * @returns {SubItem[]}
+ */
+const extractSubItems = (rawValue, options) => {
+  const {
+    html = true,
+  } = options || {};
+
+  const items = [];
+  const indentStack = [];
+  let lastItem = null;
+
+  splitValueLines(rawValue, { html }).forEach(({ chars, listDepth }) => {
+    const isBlank = (char) => !char.text.trim();
+    const firstIndex = chars.findIndex((char) => !isBlank(char));
+    const lastIndex = chars.length - 1 - [...chars].reverse().findIndex((char) => !isBlank(char));
+
+    // Blank line ends the sub-item
+    if (firstIndex === -1) {
+      lastItem = null;
+      return;
+    }
+
+    // Skip the list marker, and the whitespace after it
+    const lineText = chars.slice(firstIndex).map((char) => char.text).join('');
+    const [marker = ''] = lineText.match(SUB_ITEM_MARKER_REGEX) || [];
+    let contentIndex = firstIndex;
+    for (let length = 0; length < marker.length; contentIndex++) {
+      length += chars[contentIndex].text.length;
+    }
+
+    const content = chars.slice(contentIndex, lastIndex + 1);
+    const text = content.map((char) => char.text).join('').replace(/\s+/g, ' ').trim();
+
+    if (listDepth == null && !marker) {
+      // Lines before the first sub-item (e.g. the one with the prefix) are not part of any sub-item
+      if (!lastItem || !text) return;
+      lastItem.text = `${lastItem.text} ${text}`;
+      lastItem.rawEnd = content[content.length - 1].end;
+      return;
+    }
+
+    let depth = listDepth;
+    if (depth == null) {
+      const indent = firstIndex + chars.slice(0, firstIndex).filter((char) => char.text === '\t').length * 3;
+      while (indentStack.length && indent < indentStack[indentStack.length - 1]) indentStack.pop();
+      if (!indentStack.length || indent > indentStack[indentStack.length - 1]) indentStack.push(indent);
+      depth = indentStack.length - 1;
+    }
+
+    if (!text) {
+      lastItem = null;
+      return;
+    }
+
+    lastItem = {
+      text,
+      depth,
+      rawStart: content[0].start,
+      rawEnd: content[content.length - 1].end,
     };
+    items.push(lastItem);
   });
 
-  const questionsByNodeId = keyBy(questionNodes, (q) => q.nodeId);
+  return items;
+};
 
-  // Find the edges connected to Question nodes
-  for (const node of document.querySelectorAll('mxCell[edge="1"]')) {
-    const sourceId = node.getAttribute('source');
-    const targetId = node.getAttribute('target');
+/**
+ * Find the edges connected to given nodes, and add the IDs of the nodes
+ * on the other end of the edges to their `targetIds`.
+ *
+ * @param {Object} input
+ * @param {Document} input.document
+ * @param {{ nodeId: string, targetIds: string[] }[]} input.nodes
+ */
+const collectEdgeTargets = ({ document, nodes }) => {
+  const nodesByNodeId = keyBy(nodes, (n) => n.nodeId);
+
+  for (const node of getCells(document).filter((cell) => getCellAttribute(cell, 'edge') === '1')) {
+    const sourceId = getCellAttribute(node, 'source');
+    const targetId = getCellAttribute(node, 'target');
 
-    const edgeData = questionsByNodeId[sourceId] ? {
+    const edgeData = nodesByNodeId[sourceId] ? {
       sourceId,
       targetId
-    } : questionsByNodeId[targetId] ? {
+    } : nodesByNodeId[targetId] ? {
       sourceId: targetId,
       targetId: sourceId,
     } : null;
 
     if (!edgeData) continue;
 
-    questionsByNodeId[edgeData.sourceId].targetIds.push(edgeData.targetId);
+    nodesByNodeId[edgeData.sourceId].targetIds.push(edgeData.targetId);
+  };
+};
+
+/**
+ * Create a parser that, given a DOM Document of an .drawio XML, extracts
+ * the info on nodes of given type (e.g. assumptions, questions or notes).
+ *
+ * Nodes of all types can be inserted into containers, and connected
+ * to other nodes via edges (arrows). Nodes of types with sub-items
+ * (e.g. questions) also have the texts of the sub-items as `items`,
+ * and their nesting levels as `itemDepths`.
+ *
+ * @param {import('./drawioConfig').NodeTypeConfig} nodeType
+ * @param {Object} [options]
+ * @param {boolean} [options.allowDuplicates] - If true, nodes with the same ID don't raise an error
+ * @param {ReturnType<typeof createPrefixedCellFinder>} [options.findCells] - Shared finder of the cells
+ *   of all node types. Otherwise the cells are searched for this type only
+ */
+const createPrefixedNodeParser = (nodeType, options) => {
+  const {
+    allowDuplicates = false,
+    findCells = null,
+  } = options || {};
+
+  const parseNodes = (document) => {
+    const prefixedNodes = findPrefixedNodes({
+      document,
+      prefix: nodeType.prefix,
+      allowDuplicates,
+      preserveLineBreaks: nodeType.multiline,
+      cells: findCells ? findCells(document)[nodeType.prefix] : null,
+    }).map((prefixedNodeData) => {
+      const parentId = getCellAttribute(prefixedNodeData.node, 'parent') || null;
+      const subItems = nodeType.subItems
+        ? extractSubItems(prefixedNodeData.rawValue, { html: isHtmlCell(prefixedNodeData.node) })
+        : [];
+      return {
+        ...prefixedNodeData,
+        type: nodeType.name,
+        parentId,
+        targetIds: [], // Nodes that this node is connected to
+        items: subItems.map((subItem) => subItem.text),
+        itemDepths: subItems.map((subItem) => subItem.depth),
+      };
+    });
+
+    collectEdgeTargets({ document, nodes: prefixedNodes });
+
+    return prefixedNodes;
   };
 
-  return questionNodes;
+  return parseNodes;
+};
+
+/**
+ * Given a DOM Document of an .drawio XML, extract the info on edges (arrows).
+ *
+ * The label of an edge is either its own value, or the value of a label cell
+ * placed on the edge (whose parent is the edge).
+ *
+ * @param {Document} document
+ */
+const parseEdges = (document) => {
+  const cells = getCells(document);
+  const edgeNodes = cells.filter((node) => node.id && getCellAttribute(node, 'edge') === '1');
+  const edgeIds = new Set(edgeNodes.map((node) => node.id));
+
+  const labelsByEdgeId = {};
+  for (const node of cells) {
+    const parentId = getCellAttribute(node, 'parent');
+    if (!edgeIds.has(parentId) || !getCellValue(node)) continue;
+
+    labelsByEdgeId[parentId] = labelsByEdgeId[parentId] || [];
+    labelsByEdgeId[parentId].push(getCellValue(node));
+  }
+
+  return edgeNodes.map((node) => {
+    const label = [getCellValue(node), ...(labelsByEdgeId[node.id] || [])]
+      .filter(Boolean)
+      .map((value) => htmlDecode(value).trim())
+      .filter(Boolean)
+      .join(' ');
+
+    return {
+      node,
+      nodeId: node.id,
+      sourceId: getCellAttribute(node, 'source') || null,
+      targetId: getCellAttribute(node, 'target') || null,
+      label,
+    };
+  });
 };
 
 module.exports = {
+  getNodeKey,
+  getNodesOfType,
+  getCells,
+  createBoundsGetter,
+  getCellAttribute,
+  getCellValue,
+  setCellValue,
+  getCellProperties,
+  getCellTags,
   parseContainers,
-  parseAssumptions,
-  parseQuestions,
+  parseEdges,
+  createPrefixedNodeParser,
+  createPrefixedCellFinder,
+  findPrefixedNodes,
+  extractSubItems,
+  isHtmlCell,
+  genPrefixRegexp,
+  createIdGen,
 }
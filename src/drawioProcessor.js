@@ -0,0 +1,363 @@
+//
+// Pipeline that turns a .drawio file into parsed pages - decode, parse, transform - and exports them
+//
+
+const fs = require('fs');
+const jsdom = require('jsdom');
+const path = require('path');
+
+/* beautify preserve:start */
+const { decodeDrawio } = require('./drawioEncoder');
+const { loadConfig, normalizeConfig } = require('./drawioConfig');
+const { parseContainers, parseEdges, createPrefixedNodeParser, createPrefixedCellFinder } = require('./drawioParsers');
+const { createTransformers } = require('./drawioTransformers');
+const { getPageLabel, exporterCsv, exporterXlsx, exporterJson, exporterMarkdown, exporterHtml } = require('./drawioExporters');
+/* beautify preserve:end */
+
+/**
+ * Stages of the pipeline. Each can be replaced or extended with custom ones.
+ *
+ * @typedef {Object} Stages
+ * @property {Object<string, (document: Document, context: { config: Object }) => any>} parsers -
+ *   Parsers extract data from the XML document of a page. Result of each parser is stored
+ *   in the page data under the name of the parser.
+ * @property {((data: Object, context: { config: Object }) => Object)[]} transformers -
+ *   Transformers are run in order over the data of each page, and return the updated data.
+ * @property {Object<string, (pages: Object[], context: { config: Object, richText: boolean }) => Promise<string|Buffer>>} exporters -
+ *   Exporters turn the parsed pages into the content of an export file. With `richText`, the formatting
+ *   of the values (e.g. bold text or links) should be kept, see drawioRichText.js.
+ */
+
+/**
+ * Select pages by comma-separated list of page names or (0-based) indices.
+ *
+ * E.g. `"Page-1,2"` selects the page named "Page-1" and the third page.
+ *
+ * @param {import('./drawioEncoder').DrawioPage[]} pages
+ * @param {string|(string|number)[]} [pageSelector]
+ */
+const selectPages = (pages, pageSelector) => {
+  if (!pageSelector) return pages;
+
+  const selectors = (Array.isArray(pageSelector) ? pageSelector : pageSelector.split(','))
+    .map((s) => String(s).trim())
+    .filter(Boolean);
+
+  return pages.filter((page) => selectors.some((selector) => (
+    page.name === selector || (/^\d+$/.test(selector) && page.index === Number(selector))
+  )));
+};
+
+/**
+ * Create the parsers for all node types of the config.
+ *
+ * The parsers of the node types share a single scan of the cells of each page (see `createPrefixedCellFinder`).
+ *
+ * @param {import('./drawioConfig').Config} config
+ * @param {Object} [options]
+ * @param {boolean} [options.allowDuplicates] - If true, nodes with the same ID don't raise an error
+ */
+const createParsers = (config, { allowDuplicates = false } = {}) => {
+  const findCells = createPrefixedCellFinder(config.nodeTypes);
+
+  return {
+    containers: parseContainers,
+    edges: parseEdges,
+    ...config.nodeTypes.reduce((agg, nodeType) => {
+      agg[nodeType.key] = createPrefixedNodeParser(nodeType, { allowDuplicates, findCells });
+      return agg;
+    }, {}),
+  };
+};
+
+/**
+ * Create the built-in stages of the pipeline for given config.
+ *
+ * @param {import('./drawioConfig').Config} config
+ * @returns {Stages}
+ */
+const createDefaultStages = (config) => ({
+  parsers: createParsers(config),
+  transformers: createTransformers(config),
+  exporters: {
+    csv: exporterCsv,
+    xlsx: exporterXlsx,
+    json: exporterJson,
+    markdown: exporterMarkdown,
+    html: exporterHtml,
+  },
+});
+
+/**
+ * Add custom stages to the existing ones. Parsers and exporters with the same
+ * name replace the existing ones, transformers are run after the existing ones.
+ *
+ * @param {Stages} stages
+ * @param {Partial<Stages>} [extraStages]
+ * @returns {Stages}
+ */
+const mergeStages = (stages, extraStages) => {
+  const {
+    parsers = {},
+    transformers = [],
+    exporters = {},
+  } = extraStages || {};
+
+  return {
+    parsers: { ...stages.parsers, ...parsers },
+    transformers: [...stages.transformers, ...transformers],
+    exporters: { ...stages.exporters, ...exporters },
+  };
+};
+
+/**
+ * Load a plugin with custom stages from a JS file. The file should export
+ * an object with any of `parsers`, `transformers` and `exporters` (see `Stages`),
+ * or a function that is given `{ config }` and returns such object.
+ *
+ * @param {string} pluginFile
+ * @param {import('./drawioConfig').Config} config
+ * @returns {Partial<Stages>}
+ */
+const loadPlugin = (pluginFile, config) => {
+  const pluginPath = path.resolve(pluginFile);
+  if (!fs.existsSync(pluginPath)) {
+    throw Error('File does not exist');
+  }
+
+  const plugin = require(pluginPath);
+  const stages = typeof plugin === 'function' ? plugin({ config }) : plugin;
+
+  if (!stages || typeof stages !== 'object') {
+    throw Error('Plugin must export an object with "parsers", "transformers" or "exporters", or a function that returns it');
+  }
+  if (stages.transformers && !Array.isArray(stages.transformers)) {
+    throw Error('Plugin "transformers" must be an array');
+  }
+
+  return stages;
+};
+
+/**
+ * Run the parsers and transformers over the XML document of a single decoded page.
+ *
+ * Returns the transformed data in shape:
+ * {
+ *   parserName: {
+ *     parser: Func
+ *     result: Any
+ *     error: Error
+ *   }
+ * }
+ *
+ * If any of the parsers fails, the transformers are not run.
+ *
+ * @param {Document} document
+ * @param {Object} input
+ * @param {Stages['parsers']} input.parsers
+ * @param {Stages['transformers']} input.transformers
+ * @param {import('./drawioConfig').Config} input.config
+ */
+const parsePage = (document, { parsers, transformers, config }) => {
+  // Process individual parsers
+  const parsedData = Object.entries(parsers).reduce((resultAgg, [parserName, parserFn]) => {
+    let parserResult = null;
+    let parserError = null;
+    try {
+      parserResult = parserFn(document, { config });
+    } catch (err) {
+      parserError = err;
+    }
+
+    resultAgg[parserName] = {
+      parser: parserFn,
+      result: parserResult,
+      error: parserError,
+    };
+
+    return resultAgg;
+  }, {});
+
+  if (Object.values(parsedData).some(({ error }) => error)) return parsedData;
+
+  return transformers.reduce((prevResult, fn) => fn(prevResult, { config }), parsedData);
+};
+
+/**
+ * Run the parsers and transformers over each of the decoded pages.
+ *
+ * Each page is processed separately, and shared with exporters as:
+ * {
+ *   index: number,
+ *   id: string,
+ *   name: string,
+ *   data: { parserName: { parser, result, error } },
+ * }
+ *
+ * @param {import('./drawioEncoder').DrawioPage[]} decodedPages
+ * @param {Object} input
+ * @param {Stages['parsers']} input.parsers
+ * @param {Stages['transformers']} input.transformers
+ * @param {import('./drawioConfig').Config} input.config
+ */
+const parsePages = (decodedPages, { parsers, transformers, config }) => decodedPages.map(({ data: pageXml, ...pageInfo }) => ({
+  ...pageInfo,
+  data: parsePage(new jsdom.JSDOM(pageXml, { contentType: 'text/xml' }).window.document, { parsers, transformers, config }),
+}));
+
+/**
+ * List the parsers that failed, on any of the parsed pages.
+ *
+ * @param {Object[]} parsedPages
+ * @returns {{ page: string, parserName: string, error: Error }[]}
+ */
+const getParserErrors = (parsedPages) => parsedPages.flatMap((page) => Object.entries(page.data)
+  .filter(([, { error }]) => error)
+  .map(([parserName, { error }]) => ({ page: getPageLabel(page), parserName, error })));
+
+/**
+ * Get a short name for each of the source files, used to tell apart the nodes
+ * of different files when they are exported together, e.g. "onboarding" for
+ * "boards/onboarding.drawio.svg".
+ *
+ * Files with the same name in different directories are named also by their directories,
+ * as far as needed to tell them apart, e.g. "team-a/onboarding" and "team-b/onboarding".
+ *
+ * @param {string[]} sourceFiles
+ * @returns {string[]}
+ */
+const getFileNamespaces = (sourceFiles) => {
+  const resolvedFiles = sourceFiles.map((file) => path.resolve(file));
+  const filesSegments = resolvedFiles.map((file) => file.split(path.sep));
+  const getName = (segments, depth) => segments.slice(-depth).join('/').replace(/(\.(drawio|dio|xml))?(\.(svg|png))?$/i, '');
+
+  const usedNamespaces = new Set();
+  return filesSegments.map((segments, index) => {
+    let depth = 1;
+    while (depth < segments.length && filesSegments.some((otherSegments, otherIndex) => (
+      resolvedFiles[otherIndex] !== resolvedFiles[index] && getName(otherSegments, depth) === getName(segments, depth)
+    ))) {
+      depth++;
+    }
+
+    // Same file given twice
+    const namespace = getName(segments, depth);
+    let uniqueNamespace = namespace;
+    for (let n = 2; usedNamespaces.has(uniqueNamespace); n++) {
+      uniqueNamespace = `${namespace}-${n}`;
+    }
+    usedNamespaces.add(uniqueNamespace);
+    return uniqueNamespace;
+  });
+};
+
+/**
+ * Mark the parsed pages of one source file, when pages of several files are exported together.
+ *
+ * Pages get the `sourceFile` and `namespace`, and the nodes of the configured types
+ * get the `namespace`, so their keys don't collide with the nodes of other files,
+ * e.g. "onboarding:A(1)" (see `getNodeKey` in drawioParsers.js).
+ *
+ * @param {Object[]} parsedPages
+ * @param {Object} input
+ * @param {string} input.sourceFile
+ * @param {string} input.namespace - See `getFileNamespaces`
+ * @param {import('./drawioConfig').Config} input.config
+ */
+const namespacePages = (parsedPages, { sourceFile, namespace, config }) => parsedPages.map((page) => {
+  config.nodeTypes.forEach((nodeType) => {
+    const nodes = (page.data[nodeType.key] && page.data[nodeType.key].result) || [];
+    nodes.forEach((node) => {
+      node.namespace = namespace;
+    });
+  });
+
+  return { ...page, sourceFile, namespace };
+});
+
+/**
+ * Decode, parse and transform the content of a .drawio file, and optionally export it,
+ * all in memory.
+ *
+ * E.g.
+ * ```js
+ * const { pages } = await processDrawio(fs.readFileSync('plan.drawio', 'utf-8'));
+ * const { output } = await processDrawio(drawioXml, { pages: ['Page-1'], exportType: 'csv' });
+ * ```
+ *
+ * Throws if the file can't be decoded, or if any of the parsers fails (e.g. on duplicate IDs).
+ *
+ * @param {string|Buffer} input - Content of a .drawio file, compressed or not, bare <mxGraphModel> XML,
+ *   or a .drawio.svg or .drawio.png image (PNG as Buffer)
+ * @param {Object} [options]
+ * @param {Object} [options.config] - Node types to extract (see drawioConfig.js). Assumptions, questions and notes by default
+ * @param {'parent'|'geometry'} [options.containerDetection] - How nodes are assigned to containers, overrides the config
+ * @param {'document'|'flow'|'position'|'id'} [options.sort] - Order of the containers and nodes in the export, overrides the config
+ * @param {Stages['parsers']} [options.parsers] - Custom parsers, in addition to the built-in ones
+ * @param {Stages['transformers']} [options.transformers] - Custom transformers, run after the built-in ones
+ * @param {Stages['exporters']} [options.exporters] - Custom exporters, in addition to the built-in ones
+ * @param {Partial<Stages>[]} [options.plugins] - Sets of custom stages, e.g. loaded with `loadPlugin`
+ * @param {string|(string|number)[]} [options.pages] - Names or 0-based indices of the pages to process. All pages by default
+ * @param {string} [options.exportType] - Name of the exporter, e.g. "csv". If not given, nothing is exported
+ * @param {boolean} [options.richText] - Export the formatting of the values as Markdown (or sanitized HTML in HTML export)
+ * @param {Object} [options.logger]
+ * @returns {Promise<{ pages: Object[], output: string|Buffer|null }>} Parsed pages, and the exported content
+ */
+const processDrawio = async (input, options) => {
+  const {
+    config: rawConfig,
+    containerDetection,
+    sort,
+    parsers,
+    transformers,
+    exporters,
+    plugins = [],
+    pages: pageSelector,
+    exportType,
+    richText = false,
+    logger = console,
+  } = options || {};
+
+  const baseConfig = rawConfig ? normalizeConfig(rawConfig) : loadConfig();
+  const config = containerDetection || sort ? normalizeConfig({
+    ...baseConfig,
+    ...(containerDetection ? { containerDetection } : {}),
+    ...(sort ? { sort } : {}),
+  }) : baseConfig;
+  const stages = [...plugins, { parsers, transformers, exporters }]
+    .reduce(mergeStages, createDefaultStages(config));
+
+  if (exportType && !stages.exporters[exportType]) {
+    throw Error(`Unknown export type "${exportType}"`);
+  }
+
+  const decodedPages = decodeDrawio(input, { logger });
+  if (!decodedPages) {
+    throw Error('Failed to decode the diagram');
+  }
+
+  const parsedPages = parsePages(selectPages(decodedPages, pageSelector), { ...stages, config });
+
+  const [parserError] = getParserErrors(parsedPages);
+  if (parserError) {
+    throw Error(`Parser "${parserError.parserName}" failed on page "${parserError.page}": ${parserError.error.message}`);
+  }
+
+  const output = exportType ? await stages.exporters[exportType](parsedPages, { config, richText }) : null;
+
+  return { pages: parsedPages, output };
+};
+
+module.exports = {
+  processDrawio,
+  selectPages,
+  createParsers,
+  createDefaultStages,
+  mergeStages,
+  loadPlugin,
+  parsePage,
+  parsePages,
+  getParserErrors,
+  getFileNamespaces,
+  namespacePages,
+};
@@ -0,0 +1,350 @@
+//
+// Conversion of the HTML values of cells into Markdown or sanitized HTML, keeping the formatting
+// that authors added in Drawio - bold, italics, strikethrough, links and line breaks
+//
+
+const { decodeHTML } = require('entities');
+
+const { extractSubItems, isHtmlCell, genPrefixRegexp } = require('./drawioParsers');
+
+/**
+ * @typedef {Object} TextRun
+ * @property {string} text - Line breaks are separate runs with text "\n"
+ * @property {boolean} bold
+ * @property {boolean} italic
+ * @property {boolean} strike
+ * @property {string | null} href
+ */
+
+const BLOCK_TAGS = new Set(['div', 'p', 'li', 'ul', 'ol', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'table', 'tr']);
+const VOID_TAGS = new Set(['br', 'hr', 'img', 'input', 'meta', 'link', 'wbr']);
+const HIDDEN_TAGS = new Set(['script', 'style']);
+
+const FORMAT_KEYS = ['href', 'bold', 'italic', 'strike'];
+
+const parseAttributes = (tag) => [...tag.matchAll(/([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+))/g)]
+  .reduce((agg, [, name, ...values]) => {
+    agg[name.toLowerCase()] = decodeHTML(values.find((value) => value != null));
+    return agg;
+  }, {});
+
+/**
+ * Get the formatting that an element applies to its content.
+ */
+const getTagFormat = (name, attributes) => {
+  const style = (attributes.style || '').toLowerCase();
+  const format = {};
+
+  if (['b', 'strong'].includes(name) || /font-weight\s*:\s*(?:bold|[6-9]00)/.test(style)) format.bold = true;
+  if (['i', 'em'].includes(name) || /font-style\s*:\s*italic/.test(style)) format.italic = true;
+  if (['s', 'strike', 'del'].includes(name) || /text-decoration[\w-]*\s*:[^;]*line-through/.test(style)) format.strike = true;
+  if (name === 'a' && attributes.href) format.href = attributes.href;
+
+  return format;
+};
+
+/**
+ * Split the value of a cell into runs of text with the same formatting.
+ *
+ * Tags that are not closed, or closed without being opened, are tolerated,
+ * so that a part of a value (e.g. a single sub-item) can be processed too.
+ *
+ * @param {string} value
+ * @param {Object} [options]
+ * @param {boolean} [options.html=true] - Whether the value is HTML (style contains `html=1`), or plain text
+ * @returns {TextRun[]}
+ */
+const parseRichText = (value, options) => {
+  const {
+    html = true,
+  } = options || {};
+
+  const runs = [];
+  const openTags = [];
+
+  const getFormat = () => openTags.reduce((agg, { format }) => ({ ...agg, ...format }), {
+    bold: false,
+    italic: false,
+    strike: false,
+    href: null,
+  });
+  const lastText = () => (runs.length ? runs[runs.length - 1].text : '\n');
+  const pushText = (text) => {
+    const format = getFormat();
+    const lastRun = runs[runs.length - 1];
+    const isSameFormat = lastRun && lastRun.text !== '\n' && text !== '\n'
+      && FORMAT_KEYS.every((key) => lastRun[key] === format[key]);
+
+    if (isSameFormat) lastRun.text += text;
+    else runs.push({ text, ...format });
+  };
+
+  if (!html) {
+    value.replace(/\r\n?/g, '\n').split('\n').forEach((line, index) => {
+      if (index > 0) pushText('\n');
+      if (line) pushText(line);
+    });
+    return runs;
+  }
+
+  const tokenRegex = /<!--[\s\S]*?(?:-->|$)|<(?:[!?]|\/[^a-z>])[^>]*(?:>|$)|<\/>|<(\/?)([a-z][\w-]*)((?:"[^"]*"|'[^']*'|[^'">])*)(?:>|$)|&(?:#\d+|#x[\da-f]+|\w+);?|[^<&]+|[\s\S]/gi;
+
+  for (const [raw, closingSlash, tagName, attributesText] of value.matchAll(tokenRegex)) {
+    if (raw.length > 1 && raw.startsWith('<') && !tagName) continue;
+
+    if (tagName) {
+      const name = tagName.toLowerCase();
+
+      if (name === 'br') {
+        pushText('\n');
+      } else if (BLOCK_TAGS.has(name) && !lastText().endsWith('\n')) {
+        pushText('\n');
+      }
+
+      if (closingSlash) {
+        const index = openTags.map((tag) => tag.name).lastIndexOf(name);
+        if (index !== -1) openTags.splice(index);
+      } else if (!VOID_TAGS.has(name) && !attributesText.trim().endsWith('/')) {
+        openTags.push({ name, format: getTagFormat(name, parseAttributes(attributesText)) });
+      }
+
+      if (name === 'li' && !closingSlash) pushText('- ');
+      continue;
+    }
+
+    if (openTags.some((tag) => HIDDEN_TAGS.has(tag.name))) continue;
+
+    // Whitespace in HTML is shown as a single space, including non-breaking spaces in the output
+    let text = (raw.startsWith('&') ? decodeHTML(raw) : raw).replace(/[\t\n\f\r \u00a0]+/g, ' ');
+    if (/[ \n]$/.test(lastText())) text = text.replace(/^ /, '');
+    if (!text) continue;
+
+    pushText(text);
+  }
+
+  return runs;
+};
+
+/**
+ * Get the opening tags of the inline elements that are still open at the end of given HTML,
+ * e.g. `<b>` for `<b>- First`. Prepended to a part of the value, they keep its formatting.
+ *
+ * @param {string} value
+ */
+const getOpenInlineTags = (value) => {
+  const openTags = [];
+
+  for (const [raw, closingSlash, tagName] of value.matchAll(/<(\/?)([a-z][\w-]*)(?:"[^"]*"|'[^']*'|[^'">])*>/gi)) {
+    const name = tagName.toLowerCase();
+    if (BLOCK_TAGS.has(name) || VOID_TAGS.has(name) || raw.endsWith('/>')) continue;
+
+    if (closingSlash) {
+      const index = openTags.map((tag) => tag.name).lastIndexOf(name);
+      if (index !== -1) openTags.splice(index);
+    } else {
+      openTags.push({ name, raw });
+    }
+  }
+
+  return openTags.map((tag) => tag.raw).join('');
+};
+
+/**
+ * Remove characters between given positions of the text of the runs.
+ *
+ * @param {TextRun[]} runs
+ * @param {number} start
+ * @param {number} end
+ */
+const removeText = (runs, start, end) => {
+  let offset = 0;
+  return runs.reduce((agg, run) => {
+    const runStart = offset;
+    offset += run.text.length;
+
+    const text = run.text.slice(0, Math.max(0, start - runStart)) + run.text.slice(Math.max(0, end - runStart));
+    if (text) agg.push({ ...run, text });
+    return agg;
+  }, []);
+};
+
+/**
+ * Remove whitespace and line breaks at the start and the end of the runs.
+ *
+ * @param {TextRun[]} runs
+ */
+const trimRuns = (runs) => {
+  const text = runs.map((run) => run.text).join('');
+  const start = text.length - text.trimStart().length;
+  const end = text.trimEnd().length;
+  return removeText(removeText(runs, end, text.length), 0, start);
+};
+
+/**
+ * Remove the prefix (e.g. "A(88): ") from the runs of a node value.
+ *
+ * @param {TextRun[]} runs
+ * @param {string} prefix
+ */
+const stripPrefix = (runs, prefix) => {
+  const text = runs.map((run) => run.text).join('');
+  const match = text.match(genPrefixRegexp(prefix));
+  if (!match) return runs;
+
+  // The match may start with the ">" that precedes the prefix
+  const start = match.index + (match[0].startsWith('>') ? 1 : 0);
+  return removeText(runs, start, match.index + match[0].length);
+};
+
+const escapeMarkdown = (text) => text.replace(/[\\`*_[\]<>~|]/g, '\\$&');
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const isSafeHref = (href) => /^(?:https?:|mailto:)/i.test(href.trim());
+
+const markdownMarkers = {
+  href: { open: () => '[', close: (href) => `](${href.trim().replace(/[()\s]/g, (char) => `%${char.charCodeAt(0).toString(16).toUpperCase().padStart(2, '0')}`)})` },
+  bold: { open: () => '**', close: () => '**' },
+  italic: { open: () => '*', close: () => '*' },
+  strike: { open: () => '~~', close: () => '~~' },
+};
+
+const htmlMarkers = {
+  href: { open: (href) => `<a href="${escapeHtml(href)}">`, close: () => '</a>' },
+  bold: { open: () => '<strong>', close: () => '</strong>' },
+  italic: { open: () => '<em>', close: () => '</em>' },
+  strike: { open: () => '<s>', close: () => '</s>' },
+};
+
+/**
+ * Render the runs with given markers of the formatting. Formatting is nested
+ * in the same order for all runs (links outermost), so the markers are always
+ * balanced. Whitespace at the edges of formatted text is moved outside of the markers.
+ */
+const renderRuns = (runs, { markers, escape, lineBreak }) => {
+  let output = '';
+  let pendingSpace = '';
+  const openFormats = [];
+
+  const closeFrom = (index) => {
+    openFormats.splice(index).reverse().forEach(({ key, value }) => {
+      output += markers[key].close(value);
+    });
+  };
+
+  trimRuns(runs).forEach((run) => {
+    if (run.text === '\n') {
+      closeFrom(0);
+      output += lineBreak;
+      pendingSpace = '';
+      return;
+    }
+
+    const [, leading, content, trailing] = run.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    pendingSpace += leading;
+    if (!content) {
+      pendingSpace += trailing;
+      return;
+    }
+
+    const formats = FORMAT_KEYS
+      .filter((key) => run[key] && (key !== 'href' || isSafeHref(run.href)))
+      .map((key) => ({ key, value: run[key] }));
+
+    const keptCount = openFormats.findIndex((format, index) => (
+      !formats[index] || formats[index].key !== format.key || formats[index].value !== format.value
+    ));
+    closeFrom(keptCount === -1 ? openFormats.length : keptCount);
+
+    output += pendingSpace;
+    pendingSpace = trailing;
+
+    formats.slice(openFormats.length).forEach((format) => {
+      output += markers[format.key].open(format.value);
+      openFormats.push(format);
+    });
+
+    output += escape(content);
+  });
+
+  closeFrom(0);
+  return output;
+};
+
+/**
+ * @param {TextRun[]} runs
+ */
+const renderMarkdown = (runs) => renderRuns(runs, { markers: markdownMarkers, escape: escapeMarkdown, lineBreak: '\n' });
+
+/**
+ * Render the runs as HTML that contains only formatting tags (<strong>, <em>, <s>, <br>)
+ * and links to web or email addresses.
+ *
+ * @param {TextRun[]} runs
+ */
+const renderHtml = (runs) => renderRuns(runs, { markers: htmlMarkers, escape: escapeHtml, lineBreak: '<br>' });
+
+/**
+ * Create functions that get the values of nodes, sub-items and containers
+ * in given format, so they are formatted the same way in every exporter.
+ *
+ * - `plain` - Text without formatting, as parsed
+ * - `markdown` - Markdown, with the formatting of the HTML values
+ * - `html` - Sanitized HTML, with the formatting of the HTML values
+ *
+ * Without `keepFormatting`, values are plain text as parsed, but still escaped
+ * for the format, e.g. so that "<img>" or "*" in a value are not read as Markdown.
+ *
+ * @param {'plain'|'markdown'|'html'} [format='plain']
+ * @param {Object} [options]
+ * @param {boolean} [options.keepFormatting=true] - Whether the formatting of the HTML values is kept
+ */
+const createTextFormatter = (format = 'plain', { keepFormatting = true } = {}) => {
+  const render = format === 'html' ? renderHtml : renderMarkdown;
+  const escape = format === 'html' ? escapeHtml : format === 'markdown' ? escapeMarkdown : (text) => text;
+  const isPlain = format === 'plain' || !keepFormatting;
+  const subItemsCache = new WeakMap();
+
+  const getSubItems = (node) => {
+    if (!subItemsCache.has(node)) {
+      subItemsCache.set(node, extractSubItems(node.rawValue, { html: isHtmlCell(node.node) }));
+    }
+    return subItemsCache.get(node);
+  };
+
+  return {
+    /** Text that has no formatting, e.g. name of a page, escaped for the format */
+    fromPlainText: escape,
+    /** Value of a prefixed node, without the prefix */
+    nodeValue: (node) => {
+      if (isPlain) return escape(node.value);
+      return render(stripPrefix(parseRichText(node.rawValue, { html: isHtmlCell(node.node) }), node.prefix));
+    },
+    /** N-th (0-based) sub-item of a node, e.g. sub-question of a question */
+    subItem: (node, index) => {
+      const subItem = getSubItems(node)[index];
+      if (isPlain || !subItem) return escape(node.items[index]);
+
+      const html = isHtmlCell(node.node);
+      const openTags = html ? getOpenInlineTags(node.rawValue.slice(0, subItem.rawStart)) : '';
+      return render(parseRichText(openTags + node.rawValue.slice(subItem.rawStart, subItem.rawEnd), { html }));
+    },
+    containerValue: (container) => {
+      // Root of the page has no cell
+      if (!container.node) return container.value;
+      if (isPlain) return escape(container.value);
+      return render(parseRichText(container.rawValue, { html: isHtmlCell(container.node) }));
+    },
+  };
+};
+
+module.exports = {
+  parseRichText,
+  renderMarkdown,
+  renderHtml,
+  createTextFormatter,
+};
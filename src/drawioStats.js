@@ -0,0 +1,186 @@
+//
+// Coverage of the research plan - counts of the nodes per container of the parsed pages,
+// e.g. how many assumptions don't have any questions yet
+//
+
+const { upperFirst } = require('lodash');
+
+const { getPageLabel, getContainerPath } = require('./drawioExporters');
+const { getNodesOfType } = require('./drawioParsers');
+
+/**
+ * @typedef {Object} ContainerStats
+ * @property {string} title - Value of the container, or label of the page
+ * @property {string|null} nodeId - ID of the container cell, null for the page
+ * @property {number} depth - 0 for the page, 1 for the top-level containers
+ * @property {Object<string, number>} counts - Counts of the nodes in the container, including
+ *   its child containers, keyed by the columns (see `getStatsColumns`)
+ * @property {number|null} coverage - Share (0-1) of the nodes of the primary type (e.g. assumptions)
+ *   connected to any item node (e.g. question). Null if there are no nodes of the primary type
+ * @property {ContainerStats[]} children - Stats of the child containers
+ */
+
+/**
+ * Columns of the stats, in order. With the default config:
+ * assumptions, uncoveredAssumptions, questions, unlinkedQuestions, subquestions.
+ *
+ * Each column counts the nodes directly in a container, given as lists of nodes by the type key.
+ *
+ * @param {import('./drawioConfig').Config} config
+ * @returns {{ key: string, label: string, count: (nodesByType: Object<string, Object[]>) => number }[]}
+ */
+const getStatsColumns = (config) => {
+  const { primaryType, itemTypes } = config;
+  const isCovered = (node) => itemTypes.some((itemType) => (node[itemType.key] || []).length);
+
+  return [
+    {
+      key: primaryType.key,
+      label: primaryType.labelPlural,
+      count: (nodesByType) => nodesByType[primaryType.key].length,
+    },
+    {
+      key: `uncovered${upperFirst(primaryType.key)}`,
+      label: `Without ${itemTypes.map((itemType) => itemType.labelPlural.toLowerCase()).join(' or ')}`,
+      count: (nodesByType) => nodesByType[primaryType.key].filter((node) => !isCovered(node)).length,
+    },
+    ...itemTypes.flatMap((itemType) => [
+      {
+        key: itemType.key,
+        label: itemType.labelPlural,
+        count: (nodesByType) => nodesByType[itemType.key].length,
+      },
+      {
+        key: `unlinked${upperFirst(itemType.key)}`,
+        label: `Unlinked ${itemType.labelPlural.toLowerCase()}`,
+        count: (nodesByType) => nodesByType[itemType.key].filter((node) => !(node[primaryType.key] || []).length).length,
+      },
+      {
+        key: `sub${itemType.key}`,
+        label: `Sub-${itemType.labelPlural.toLowerCase()}`,
+        count: (nodesByType) => nodesByType[itemType.key].reduce((sum, node) => sum + (node.items || []).length, 0),
+      },
+    ]),
+  ];
+};
+
+const getCoverage = (counts, config) => {
+  const total = counts[config.primaryType.key];
+  return total ? (total - counts[`uncovered${upperFirst(config.primaryType.key)}`]) / total : null;
+};
+
+/**
+ * Count the nodes of each page, and of each of its containers (walking the container tree
+ * from `containers.result.root`). Counts of a container include its child containers,
+ * and counts of a page include the nodes outside of any container.
+ *
+ * @param {Object[]} pages - Parsed pages, each in shape `{ index, id, name, data }`
+ * @param {import('./drawioConfig').Config} config
+ * @returns {{ columns: { key: string, label: string }[], pages: ContainerStats[], total: { counts: Object<string, number>, coverage: number|null } }}
+ */
+const getPageStats = (pages, config) => {
+  const columns = getStatsColumns(config);
+  const countedTypes = [config.primaryType, ...config.itemTypes];
+
+  const summarize = ({ title, nodeId, depth, nodesByType, childContainers }) => {
+    const children = childContainers
+      .filter((child) => child.nodeId)
+      .map((child) => summarize({
+        title: getContainerPath(child).pop(),
+        nodeId: child.nodeId,
+        depth: depth + 1,
+        nodesByType: countedTypes.reduce((agg, nodeType) => {
+          agg[nodeType.key] = child[nodeType.key] || [];
+          return agg;
+        }, {}),
+        childContainers: child.children,
+      }));
+
+    const counts = columns.reduce((agg, column) => {
+      agg[column.key] = column.count(nodesByType) + children.reduce((sum, child) => sum + child.counts[column.key], 0);
+      return agg;
+    }, {});
+
+    return { title, nodeId, depth, counts, coverage: getCoverage(counts, config), children };
+  };
+
+  const pageStats = pages.map((page) => summarize({
+    title: getPageLabel(page),
+    nodeId: null,
+    depth: 0,
+    // Nodes outside of any container belong to the page itself
+    nodesByType: countedTypes.reduce((agg, nodeType) => {
+      agg[nodeType.key] = getNodesOfType(page.data, nodeType).filter((node) => !node.container);
+      return agg;
+    }, {}),
+    childContainers: page.data.containers.result.root.children,
+  }));
+
+  const totalCounts = columns.reduce((agg, column) => {
+    agg[column.key] = pageStats.reduce((sum, stats) => sum + stats.counts[column.key], 0);
+    return agg;
+  }, {});
+
+  return {
+    columns: columns.map(({ key, label }) => ({ key, label })),
+    pages: pageStats,
+    total: { counts: totalCounts, coverage: getCoverage(totalCounts, config) },
+  };
+};
+
+const formatCoverage = (coverage) => (coverage == null ? '-' : `${Math.round(coverage * 100)}%`);
+
+/**
+ * Render the stats as a table, with the containers indented as a tree under their page, e.g.
+ *
+ * ```
+ * Container              Assumptions  Without questions  ...  Coverage
+ * Page-1                           3                  1  ...       67%
+ * ├─ Onboarding                    2                  0  ...      100%
+ * └─ Pricing                       1                  1  ...        0%
+ * ```
+ *
+ * @param {ReturnType<typeof getPageStats>} stats
+ * @param {Object} [options]
+ * @param {number} [options.maxTitleLength] - Longer titles are shortened with "…"
+ */
+const renderStatsText = (stats, { maxTitleLength = 40 } = {}) => {
+  const oneLine = (text) => {
+    const line = String(text || '').replace(/\s+/g, ' ').trim();
+    return line.length > maxTitleLength ? `${line.slice(0, maxTitleLength - 1)}…` : line;
+  };
+
+  const getTreeRows = (containerStats, prefix, childPrefix) => [
+    { ...containerStats, title: `${prefix}${oneLine(containerStats.title)}` },
+    ...containerStats.children.flatMap((child, index) => {
+      const isLast = index === containerStats.children.length - 1;
+      return getTreeRows(child, `${childPrefix}${isLast ? '└─ ' : '├─ '}`, `${childPrefix}${isLast ? '   ' : '│  '}`);
+    }),
+  ];
+
+  const rows = [
+    ...stats.pages.flatMap((pageStats) => getTreeRows(pageStats, '', '')),
+    ...(stats.pages.length > 1 ? [{ title: 'Total', ...stats.total }] : []),
+  ];
+
+  const headers = ['Container', ...stats.columns.map((column) => column.label), 'Coverage'];
+  const cells = rows.map((row) => [
+    row.title,
+    ...stats.columns.map((column) => String(row.counts[column.key])),
+    formatCoverage(row.coverage),
+  ]);
+
+  const widths = headers.map((header, index) => Math.max(header.length, ...cells.map((rowCells) => rowCells[index].length)));
+  const formatLine = (rowCells) => rowCells
+    .map((cell, index) => (index === 0 ? cell.padEnd(widths[index]) : cell.padStart(widths[index])))
+    .join('  ')
+    .trimEnd();
+
+  return [formatLine(headers), ...cells.map(formatLine)].join('\n');
+};
+
+module.exports = {
+  getPageStats,
+  renderStatsText,
+  formatCoverage,
+};
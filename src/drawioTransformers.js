@@ -1,57 +1,438 @@
 // 
 // Transformers that process extracted data from the XML content of a <diagram> element in a .drawio file
+//
+// Transformers are created for given config of node types (see drawioConfig.js)
 // 
 
-const transformConnectQuestions = (data) => {
-  const {
-    assumptions,
-    questions
-  } = data || {};
-
-  const assumptionCache = assumptions.result.reduce((agg, assump) => {
-    agg[assump.nodeId] = assump;
-    return agg;
-  }, {});
-
-  questions.result.forEach((quest) => {
-    quest.targetIds.forEach((questTargetId) => {
-      const assump = assumptionCache[questTargetId];
-      if (!assump) return;
-      assump.questions = (assump.questions || []);
-      assump.questions.push(quest);
-      
-      quest.assumptions = (quest.assumptions || []);
-      quest.assumptions.push(assump);
+const { keyBy } = require('lodash');
+
+const { getNodesOfType, getCells, createBoundsGetter } = require('./drawioParsers');
+
+const cacheByNodeId = (nodes) => nodes.reduce((agg, node) => {
+  agg[node.nodeId] = node;
+  return agg;
+}, {});
+
+const pushUnique = (obj, key, item) => {
+  obj[key] = (obj[key] || []);
+  if (!obj[key].includes(item)) obj[key].push(item);
+};
+
+/**
+ * Create transformer that connects nodes that are connected by edges,
+ * as declared by `linksTo` of the node types.
+ *
+ * E.g. if questions link to assumptions, then each assumption has
+ * the connected questions under `assumption.questions`, and each question
+ * has the connected assumptions under `question.assumptions`.
+ *
+ * Nodes connected to containers are listed under `node.containers`.
+ *
+ * @param {import('./drawioConfig').Config} config
+ */
+const createTransformConnectNodes = (config) => {
+  const transformConnectNodes = (data) => {
+    const { containers } = data || {};
+    const containerCache = cacheByNodeId(containers.result.all.filter((container) => container.nodeId));
+
+    config.nodeTypes.forEach((nodeType) => {
+      const nodes = getNodesOfType(data, nodeType);
+
+      nodeType.linksTo.forEach((linkedName) => {
+        if (linkedName === 'container') {
+          nodes.forEach((node) => {
+            node.containers = (node.containers || []);
+            node.targetIds.forEach((targetId) => {
+              const container = containerCache[targetId];
+              if (!container) return;
+              pushUnique(node, 'containers', container);
+              pushUnique(container, nodeType.key, node);
+            });
+          });
+          return;
+        }
+
+        const linkedType = config.nodeTypes.find((t) => t.name === linkedName);
+        const linkedNodes = getNodesOfType(data, linkedType);
+        const linkedCache = cacheByNodeId(linkedNodes);
+
+        nodes.forEach((node) => { node[linkedType.key] = (node[linkedType.key] || []); });
+        linkedNodes.forEach((linkedNode) => { linkedNode[nodeType.key] = (linkedNode[nodeType.key] || []); });
+
+        nodes.forEach((node) => {
+          node.targetIds.forEach((targetId) => {
+            const linkedNode = linkedCache[targetId];
+            if (!linkedNode) return;
+            pushUnique(linkedNode, nodeType.key, node);
+            pushUnique(node, linkedType.key, linkedNode);
+          });
+        });
+      });
     });
+
+    return data;
+  };
+
+  return transformConnectNodes;
+};
+
+/**
+ * Create transformer that inserts nodes of all types into the containers
+ * they are placed in (see `parseContainers`). E.g. each container has the assumptions placed in it
+ * under `container.assumptions`, and each assumption has `assumption.container`.
+ *
+ * Annotations (e.g. notes) belong to the nodes or containers they are connected to,
+ * so only the ones without any connection are inserted into the container they are placed in.
+ * Expects the nodes to be connected already (see `createTransformConnectNodes`).
+ *
+ * @param {import('./drawioConfig').Config} config
+ */
+const createTransformConnectContainers = (config) => {
+  const transformConnectContainers = (data) => {
+    const { containers } = data || {};
+    const containerCache = cacheByNodeId(containers.result.all);
+    // Custom container parsers may not assign the cells to containers, so fall back to the parent cell
+    const getContainer = (node) => (containers.result.members
+      ? containers.result.members[node.nodeId]
+      : containerCache[node.parentId]);
+
+    const isConnected = (node) => (node.containers || []).length > 0
+      || config.nodeTypes.some((nodeType) => (node[nodeType.key] || []).length > 0);
+
+    config.nodeTypes.forEach((nodeType) => {
+      const isAnnotationType = config.annotationTypes.includes(nodeType);
+
+      getNodesOfType(data, nodeType).forEach((node) => {
+        const container = getContainer(node);
+        if (!container) return;
+        node.container = container;
+
+        if (isAnnotationType && isConnected(node)) return;
+        // Nodes can be also connected to the container they are placed in
+        pushUnique(container, nodeType.key, node);
+      });
+    });
+
+    return data;
+  };
+
+  return transformConnectContainers;
+};
+
+/**
+ * Find groups of nodes that depend on each other in a cycle
+ * (strongly connected components, using Tarjan's algorithm).
+ *
+ * @param {Object[]} nodes
+ * @param {(node: Object) => Object[]} getNeighbours
+ * @returns {Object[][]} Nodes of each cycle
+ */
+const findCycles = (nodes, getNeighbours) => {
+  const cycles = [];
+  const stack = [];
+  const state = new Map(); // node -> { index, lowLink, onStack }
+  let index = 0;
+
+  const visit = (node) => {
+    const nodeState = { index, lowLink: index, onStack: true };
+    state.set(node, nodeState);
+    index++;
+    stack.push(node);
+
+    getNeighbours(node).forEach((neighbour) => {
+      if (!state.has(neighbour)) {
+        visit(neighbour);
+        nodeState.lowLink = Math.min(nodeState.lowLink, state.get(neighbour).lowLink);
+      } else if (state.get(neighbour).onStack) {
+        nodeState.lowLink = Math.min(nodeState.lowLink, state.get(neighbour).index);
+      }
+    });
+
+    if (nodeState.lowLink !== nodeState.index) return;
+
+    const component = [];
+    let member;
+    do {
+      member = stack.pop();
+      state.get(member).onStack = false;
+      component.unshift(member);
+    } while (member !== node);
+
+    const isSelfLoop = component.length === 1 && getNeighbours(node).includes(node);
+    if (component.length > 1 || isSelfLoop) cycles.push(component);
+  };
+
+  nodes.forEach((node) => {
+    if (!state.has(node)) visit(node);
   });
 
-  return data;
+  return cycles;
 };
 
-const transformConnectContainers = (data) => {
-  const {
-    assumptions,
-    containers,
-  } = data || {};
+/**
+ * Create transformer that connects the nodes of types with `dependencies`
+ * that are connected by edges. Edge from node A to node B (of the same type)
+ * means that B builds on A - B "depends on" A, and A "supports" B.
+ *
+ * Adds `dependencies` to the data, with all the links, the root nodes
+ * (those that support others, but depend on none), and the cycles.
+ *
+ * @param {import('./drawioConfig').Config} config
+ */
+const createTransformConnectDependencies = (config) => {
+  const transformConnectDependencies = (data) => {
+    const { edges } = data || {};
+
+    const links = [];
+    const roots = [];
+    const cycles = [];
 
-  const containerCache = containers.result.all.reduce((agg, container) => {
-    agg[container.nodeId] = container;
-    return agg;
-  }, {});
+    config.nodeTypes.filter((nodeType) => nodeType.dependencies).forEach((nodeType) => {
+      const nodes = getNodesOfType(data, nodeType);
+      const nodeCache = cacheByNodeId(nodes);
 
-  assumptions.result.forEach((assump) => {
-    const container = containerCache[assump.parentId];
-    if (!container) return;
-    assump.container = container;
+      nodes.forEach((node) => {
+        node.dependsOn = (node.dependsOn || []);
+        node.supports = (node.supports || []);
+      });
+
+      ((edges && edges.result) || []).forEach((edge) => {
+        const source = nodeCache[edge.sourceId];
+        const target = nodeCache[edge.targetId];
+        if (!source || !target) return;
+
+        const link = { source, target, label: edge.label, edgeId: edge.nodeId };
+        links.push(link);
+        source.supports.push(link);
+        target.dependsOn.push(link);
+      });
+
+      roots.push(...nodes.filter((node) => !node.dependsOn.length && node.supports.length));
+      cycles.push(...findCycles(nodes, (node) => node.dependsOn.map((link) => link.source)));
+    });
 
-    container.assumptions = (container.assumptions || []);
-    container.assumptions.push(assump);
+    data.dependencies = {
+      parser: transformConnectDependencies,
+      result: { links, roots, cycles },
+      error: null,
+    };
+
+    return data;
+  };
+
+  return transformConnectDependencies;
+};
+
+/**
+ * Arrange items into reading order of their positions - rows from top to bottom,
+ * and left to right within each row. Items whose centers are above the bottom
+ * of each of the items in a row are on the same row, so a tall item (e.g. a long container)
+ * doesn't pull all the items next to it into its row.
+ *
+ * Items without position (e.g. the cell has no geometry) come last.
+ *
+ * @param {Object[]} items
+ * @param {(item: Object) => { x: number, y: number, width: number, height: number }|null} getBounds
+ */
+const sortByReadingOrder = (items, getBounds) => {
+  const rows = [];
+  items.filter(getBounds)
+    .sort((a, b) => getBounds(a).y - getBounds(b).y)
+    .forEach((item) => {
+      const bounds = getBounds(item);
+      const row = rows[rows.length - 1];
+      if (row && bounds.y + bounds.height / 2 <= row.bottom) {
+        row.items.push(item);
+        row.bottom = Math.min(row.bottom, bounds.y + bounds.height);
+      } else {
+        rows.push({ bottom: bounds.y + bounds.height, items: [item] });
+      }
+    });
+
+  return [
+    ...rows.flatMap((row) => row.items.sort((a, b) => getBounds(a).x - getBounds(b).x)),
+    ...items.filter((item) => !getBounds(item)),
+  ];
+};
+
+/**
+ * Order the nodes along the edges between them (topological order), so that nodes
+ * come after the nodes with edges pointing at them. Nodes that are ready at the same time
+ * keep the order of the document. Nodes in a cycle are taken in the order of the document.
+ *
+ * @param {Object[]} nodes - In order of the document
+ * @param {{ sourceId: string, targetId: string }[]} edges
+ * @returns {Object[]}
+ */
+const sortByFlow = (nodes, edges) => {
+  const nodesById = cacheByNodeId(nodes);
+  const documentIndex = new Map(nodes.map((node, index) => [node, index]));
+  const targets = new Map(nodes.map((node) => [node, []]));
+  const sourceCounts = new Map(nodes.map((node) => [node, 0]));
+
+  edges.forEach((edge) => {
+    const source = nodesById[edge.sourceId];
+    const target = nodesById[edge.targetId];
+    if (!source || !target || source === target) return;
+    targets.get(source).push(target);
+    sourceCounts.set(target, sourceCounts.get(target) + 1);
   });
 
-  return data;
+  const sorted = [];
+  const isSorted = new Set();
+  // Nodes whose sources are all sorted, in order of the document
+  const ready = nodes.filter((node) => !sourceCounts.get(node));
+
+  while (sorted.length < nodes.length) {
+    const node = ready.length ? ready.shift() : nodes.find((other) => !isSorted.has(other));
+    if (isSorted.has(node)) continue;
+
+    sorted.push(node);
+    isSorted.add(node);
+
+    targets.get(node).forEach((target) => {
+      sourceCounts.set(target, sourceCounts.get(target) - 1);
+      if (sourceCounts.get(target) || isSorted.has(target)) return;
+
+      const index = ready.findIndex((other) => documentIndex.get(other) > documentIndex.get(target));
+      ready.splice(index === -1 ? ready.length : index, 0, target);
+    });
+  }
+
+  return sorted;
+};
+
+/**
+ * Create transformer that sorts the containers and nodes, as set by `config.sort`
+ * (see drawioConfig.js). Exporters list them in the order of the data, so this
+ * decides the order of the rows, sections and sheets.
+ *
+ * Sorted are the nodes of each type, the child containers and the nodes of each container,
+ * and the nodes connected to each node (e.g. questions of an assumption).
+ *
+ * @param {import('./drawioConfig').Config} config
+ */
+const createTransformSortNodes = (config) => {
+  const collator = new Intl.Collator(undefined, { numeric: true });
+
+  /**
+   * Position of each container and node in the sorted order. Only positions of items
+   * of the same kind are compared, e.g. two containers, or two assumptions.
+   */
+  const getRanks = (data) => {
+    const { containers, edges } = data;
+    const nodes = config.nodeTypes.flatMap((nodeType) => getNodesOfType(data, nodeType));
+    const items = [...containers.result.all, ...nodes];
+    const toRanks = (sortedItems) => new Map(sortedItems.map((item, index) => [item, index]));
+
+    if (config.sort === 'id') {
+      return toRanks([
+        ...[...containers.result.all].sort((a, b) => collator.compare(a.value || '', b.value || '')),
+        ...[...nodes].sort((a, b) => (a.isAutoId - b.isAutoId) || collator.compare(a.prefixId, b.prefixId)),
+      ]);
+    }
+
+    // Cells of the document, to find the positions and the order of the items
+    const documentItem = items.find((item) => item.node);
+    const cells = documentItem ? getCells(documentItem.node.ownerDocument).filter((node) => node.id) : [];
+    const cellIndex = new Map(cells.map((node, index) => [node, index]));
+    const inDocumentOrder = (list) => [...list].sort((a, b) => cellIndex.get(a.node) - cellIndex.get(b.node));
+
+    if (config.sort === 'flow') {
+      const ranks = toRanks(sortByFlow(inDocumentOrder(nodes), (edges && edges.result) || []));
+
+      // Containers follow the first of the nodes in them
+      const getContainerRank = (container) => Math.min(
+        ...config.nodeTypes.flatMap((nodeType) => container[nodeType.key] || []).map((node) => ranks.get(node)),
+        ...container.children.map(getContainerRank),
+      );
+      containers.result.all.forEach((container) => ranks.set(container, getContainerRank(container)));
+      return ranks;
+    }
+
+    // Position - the items of each container (nodes and child containers together) are in reading order,
+    // and the items in a child container come right after it
+    const getCellBounds = createBoundsGetter(keyBy(cells, 'id'));
+    const getBounds = (item) => item.node && getCellBounds(item.node);
+    // Containers also list the nodes connected to them by edges, so the nodes placed in them are collected here
+    const nodesByContainer = new Map(containers.result.all.map((container) => [container, []]));
+    nodes.filter((node) => node.container).forEach((node) => nodesByContainer.get(node.container).push(node));
+
+    const sortedItems = [];
+    const addInReadingOrder = (containerItems) => sortByReadingOrder(inDocumentOrder(containerItems), getBounds)
+      .forEach((item) => {
+        sortedItems.push(item);
+        if (!item.children) return;
+        addInReadingOrder([...item.children, ...nodesByContainer.get(item)]);
+      });
+    addInReadingOrder([
+      ...containers.result.root.children,
+      ...nodes.filter((node) => !node.container),
+    ]);
+    return toRanks(sortedItems);
+  };
+
+  const transformSortNodes = (data) => {
+    if (config.sort === 'document') return data;
+
+    const { containers, dependencies } = data || {};
+    const ranks = getRanks(data);
+    const getRank = (item) => (ranks.has(item) ? ranks.get(item) : Infinity);
+    const sortByRank = (list, getItem = (item) => item) => {
+      if (!Array.isArray(list)) return;
+      // Items without rank keep their order, after the ranked ones
+      list.sort((a, b) => (getRank(getItem(a)) - getRank(getItem(b))) || 0);
+    };
+    const sortLinkedNodes = (item) => {
+      config.nodeTypes.forEach((nodeType) => sortByRank(item[nodeType.key]));
+    };
+
+    [containers.result.root, ...containers.result.all].forEach((container) => {
+      sortByRank(container.children);
+      sortLinkedNodes(container);
+    });
+    sortByRank(containers.result.all);
+
+    config.nodeTypes.forEach((nodeType) => {
+      const nodes = getNodesOfType(data, nodeType);
+      sortByRank(nodes);
+      nodes.forEach((node) => {
+        sortLinkedNodes(node);
+        sortByRank(node.containers);
+        sortByRank(node.dependsOn, (link) => link.source);
+        sortByRank(node.supports, (link) => link.target);
+      });
+    });
+
+    if (dependencies && dependencies.result) {
+      sortByRank(dependencies.result.roots);
+      dependencies.result.links.sort((a, b) => (
+        (getRank(a.source) - getRank(b.source)) || (getRank(a.target) - getRank(b.target)) || 0
+      ));
+    }
+
+    return data;
+  };
+
+  return transformSortNodes;
 };
 
+/**
+ * Create the transformers for given config, in the order they should be run.
+ *
+ * @param {import('./drawioConfig').Config} config
+ */
+const createTransformers = (config) => [
+  createTransformConnectNodes(config),
+  createTransformConnectContainers(config),
+  createTransformConnectDependencies(config),
+  createTransformSortNodes(config),
+];
+
 module.exports = {
-  transformConnectQuestions,
-  transformConnectContainers,
-}
\ No newline at end of file
+  createTransformers,
+  createTransformConnectNodes,
+  createTransformConnectContainers,
+  createTransformConnectDependencies,
+  createTransformSortNodes,
+}